@@ -0,0 +1,403 @@
+// Local stub backend for trying form submissions and chunked uploads.
+//
+//   node dev/stub-server.js            (PORT=8080, FAIL_RATE=0.2 to drop some chunks,
+//                                       POW_FORMS=contact,career for the form types that need a token)
+//
+// Serves the site from the repository root and answers:
+//   POST  /api/uploads       { name, size, type } -> { id }
+//   HEAD  /api/uploads/:id   -> Upload-Offset
+//   PATCH /api/uploads/:id   chunk at Upload-Offset -> new Upload-Offset
+//   GET   /api/challenge     ?form=<id> -> { challenge, difficulty, expiresAt } for data-proof-of-work-url
+//   POST  /api/:formType     JSON submission; uploadIds must refer to finished uploads and
+//                            a _proofOfWork token must check out; POW_FORMS types without one are refused
+//                            (POST /api/collect therefore logs HttpAnalyticsAdapter batches too)
+//   GET   /news/:slug        share page for data-share-url="/news/{slug}" (see below)
+//
+// A production backend has to verify _proofOfWork { challenge, nonce, difficulty } the same way:
+//   0. a form type protected by proof of work is refused without a token, or a bot simply leaves it out
+//   1. sha256("challenge:nonce") starts with `difficulty` zero bits, and difficulty is at least its own minimum
+//   2. an issued challenge is accepted once and only before it expires
+//   3. a client-built "<formId>:<timestamp>:<random>" challenge is accepted once and only within
+//      POW_MAX_AGE of its timestamp
+// Without 2 and 3 a single solved token could be replayed for every submission.
+//
+// Crawlers never see #news/<slug>, so shared articles need a real URL whose HTML already carries
+// the article's title, description, og:image, og:url (itself) and canonical, and which sends
+// people on to #news/<slug> with a script. /news/:slug builds that from data/news.
+//
+// #contact-form posts to /api/contact and /api/uploads; point other forms at it the same way with
+// data-action and data-upload-action, or formController.registerEndpoint('contact', { url, uploadUrl }).
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.PORT, 10) || 8080;
+const FAIL_RATE = parseFloat(process.env.FAIL_RATE) || 0;
+const MAX_UPLOAD_SIZE = 50 * 1024 * 1024;
+const POW_DIFFICULTY = parseInt(process.env.POW_DIFFICULTY, 10) || 14;
+const POW_MAX_AGE = 10 * 60 * 1000;
+const POW_CLOCK_SKEW = 60 * 1000;
+// Form types whose markup sets data-proof-of-work
+const POW_FORMS = new Set((process.env.POW_FORMS || 'contact').split(',').map(type => type.trim()).filter(Boolean));
+const ROOT = path.resolve(__dirname, '..');
+const NEWS_DIR = path.join(ROOT, 'data', 'news');
+const SITE_NAME = 'ABS Novacell Biopharmaceuticals';
+
+const uploads = new Map();
+// challenge -> expiry time, for challenges this server issued and for client-built ones already spent
+const issuedChallenges = new Map();
+const spentChallenges = new Map();
+
+const contentTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon'
+};
+
+function sendJson(res, status, payload, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(payload));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+async function readJson(req) {
+    try {
+        return JSON.parse((await readBody(req)).toString('utf8') || '{}');
+    } catch {
+        return null;
+    }
+}
+
+async function handleUploads(req, res, id) {
+    if (!id && req.method === 'POST') {
+        const meta = await readJson(req);
+
+        if (!meta || !meta.name || !(meta.size >= 0)) {
+            return sendJson(res, 400, { message: 'Expected { name, size, type }.' });
+        }
+        if (meta.size > MAX_UPLOAD_SIZE) {
+            return sendJson(res, 413, { message: 'File is too large.' });
+        }
+
+        const upload = { id: crypto.randomUUID(), ...meta, chunks: [], offset: 0 };
+        uploads.set(upload.id, upload);
+        console.log(`upload ${upload.id} created for ${meta.name} (${meta.size} bytes)`);
+
+        return sendJson(res, 201, { id: upload.id }, { Location: `/api/uploads/${upload.id}` });
+    }
+
+    const upload = uploads.get(id);
+    if (!upload) {
+        return sendJson(res, 404, { message: 'Unknown upload.' });
+    }
+
+    if (req.method === 'HEAD') {
+        res.writeHead(200, { 'Upload-Offset': upload.offset, 'Upload-Length': upload.size });
+        return res.end();
+    }
+
+    if (req.method === 'PATCH') {
+        const offset = parseInt(req.headers['upload-offset'], 10);
+        const chunk = await readBody(req);
+
+        if (offset !== upload.offset) {
+            return sendJson(res, 409, { message: `Expected offset ${upload.offset}.` }, { 'Upload-Offset': upload.offset });
+        }
+
+        // Simulated flaky network: the chunk is lost and the client has to resume
+        if (Math.random() < FAIL_RATE) {
+            console.log(`upload ${id} dropped chunk at ${offset}`);
+            return sendJson(res, 503, { message: 'Temporarily unavailable.' });
+        }
+
+        upload.chunks.push(chunk);
+        upload.offset += chunk.length;
+        console.log(`upload ${id} at ${upload.offset}/${upload.size}`);
+
+        res.writeHead(204, { 'Upload-Offset': upload.offset });
+        return res.end();
+    }
+
+    sendJson(res, 405, { message: 'Method not allowed.' });
+}
+
+// Same rule as SpamGuard.createProofOfWork: sha256("challenge:nonce") starts with `difficulty` zero bits
+function isValidProofOfWork(token) {
+    if (!token || typeof token.challenge !== 'string' || !(token.difficulty > 0)) return false;
+
+    const hash = crypto.createHash('sha256').update(`${token.challenge}:${token.nonce}`).digest();
+    let bits = 0;
+
+    for (const byte of hash) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+
+        bits += Math.clz32(byte) - 24;
+        break;
+    }
+
+    return bits >= token.difficulty;
+}
+
+function pruneChallenges(now) {
+    [issuedChallenges, spentChallenges].forEach(challenges => {
+        challenges.forEach((expiresAt, challenge) => {
+            if (expiresAt <= now) challenges.delete(challenge);
+        });
+    });
+}
+
+function handleChallenge(req, res, formId) {
+    if (req.method !== 'GET') {
+        return sendJson(res, 405, { message: 'Method not allowed.' });
+    }
+
+    const prefix = (formId || 'form').replace(/[^\w-]/g, '');
+    const challenge = `${prefix}:${crypto.randomBytes(16).toString('hex')}`;
+    const expiresAt = Date.now() + POW_MAX_AGE;
+    issuedChallenges.set(challenge, expiresAt);
+
+    sendJson(res, 200, { challenge, difficulty: POW_DIFFICULTY, expiresAt }, { 'Cache-Control': 'no-store' });
+}
+
+// Returns why the token is refused, or null; an accepted challenge can never be used again
+function checkProofOfWork(token) {
+    if (!isValidProofOfWork(token) || token.difficulty < POW_DIFFICULTY) {
+        return 'Invalid proof of work.';
+    }
+
+    const now = Date.now();
+    pruneChallenges(now);
+
+    if (issuedChallenges.has(token.challenge)) {
+        issuedChallenges.delete(token.challenge);
+        return null;
+    }
+
+    const match = /^[\w-]+:(\d+):\w+$/.exec(token.challenge);
+    const issuedAt = match ? Number(match[1]) : NaN;
+
+    if (!(issuedAt <= now + POW_CLOCK_SKEW && now - issuedAt <= POW_MAX_AGE)) {
+        return 'The proof of work is unknown or has expired. Please try again.';
+    }
+    if (spentChallenges.has(token.challenge)) {
+        return 'The proof of work has already been used.';
+    }
+
+    spentChallenges.set(token.challenge, issuedAt + POW_MAX_AGE);
+    return null;
+}
+
+function collectUploadIds(value) {
+    if (Array.isArray(value)) return value.flatMap(collectUploadIds);
+    return value && typeof value === 'object' && value.uploadId ? [value.uploadId] : [];
+}
+
+async function handleSubmission(req, res, formType) {
+    if (req.method !== 'POST') {
+        return sendJson(res, 405, { message: 'Method not allowed.' });
+    }
+
+    const data = await readJson(req);
+    if (!data) {
+        return sendJson(res, 400, { message: 'Expected a JSON body.' });
+    }
+
+    if (POW_FORMS.has(formType) && !data._proofOfWork) {
+        return sendJson(res, 400, { message: 'A proof of work is required.' });
+    }
+
+    if ('_proofOfWork' in data) {
+        const problem = checkProofOfWork(data._proofOfWork);
+        if (problem) {
+            return sendJson(res, 400, { message: problem });
+        }
+    }
+
+    const fieldErrors = {};
+    Object.keys(data).forEach(field => {
+        const incomplete = collectUploadIds(data[field]).filter(id => {
+            const upload = uploads.get(id);
+            return !upload || upload.offset !== upload.size;
+        });
+
+        if (incomplete.length) {
+            fieldErrors[field] = 'The upload did not finish. Please attach the file again.';
+        }
+    });
+
+    if (Object.keys(fieldErrors).length) {
+        return sendJson(res, 422, { message: 'Some attachments are missing.', fieldErrors });
+    }
+
+    console.log(`${formType} submission (${req.headers['idempotency-key'] || 'no key'}):`, JSON.stringify(data));
+    sendJson(res, 200, { id: crypto.randomUUID() });
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function readIfExists(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf8');
+    } catch {
+        return null;
+    }
+}
+
+// The feed entry, overlaid with the article file's front matter or JSON fields
+function findArticle(slug) {
+    const entry = fs.readdirSync(NEWS_DIR)
+        .filter(name => /^page-\d+\.json$/.test(name))
+        .flatMap(name => JSON.parse(readIfExists(path.join(NEWS_DIR, name)) || '{}').articles || [])
+        .find(article => article.slug === slug);
+
+    const json = readIfExists(path.join(NEWS_DIR, 'articles', `${slug}.json`));
+    const markdown = readIfExists(path.join(NEWS_DIR, 'articles', `${slug}.md`));
+    const meta = {};
+
+    if (json) {
+        Object.assign(meta, JSON.parse(json));
+    } else if (markdown) {
+        const frontMatter = /^---\r?\n([\s\S]*?)\r?\n---/.exec(markdown);
+        (frontMatter ? frontMatter[1].split(/\r?\n/) : []).forEach(line => {
+            const index = line.indexOf(':');
+            if (index > 0) {
+                meta[line.slice(0, index).trim()] = line.slice(index + 1).trim().replace(/^(["'])(.*)\1$/, '$2');
+            }
+        });
+    }
+
+    return entry || json || markdown ? { ...entry, ...meta } : null;
+}
+
+function handleSharePage(req, res, slug) {
+    const article = findArticle(slug);
+    if (!article) {
+        res.writeHead(404);
+        return res.end('Not found');
+    }
+
+    const origin = `http://${req.headers.host}`;
+    const pageUrl = `${origin}/news/${slug}`;
+    const appUrl = `/#news/${slug}`;
+    const image = article.image && (article.image.src || article.image);
+    const tags = [
+        ['name', 'description', article.summary],
+        ['property', 'og:type', 'article'],
+        ['property', 'og:site_name', SITE_NAME],
+        ['property', 'og:title', article.title],
+        ['property', 'og:description', article.summary],
+        ['property', 'og:url', pageUrl],
+        ['property', 'og:image', image && new URL(image, `${origin}/`).href],
+        ['name', 'twitter:card', 'summary'],
+        ['name', 'twitter:title', article.title],
+        ['name', 'twitter:description', article.summary]
+    ].filter(([, , content]) => content);
+
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(`${article.title} | ${SITE_NAME}`)}</title>
+${tags.map(([attr, name, content]) => `    <meta ${attr}="${name}" content="${escapeHtml(content)}">`).join('\n')}
+    <link rel="canonical" href="${escapeHtml(pageUrl)}">
+    <script>location.replace(${JSON.stringify(appUrl)});</script>
+</head>
+<body>
+    <p><a href="${escapeHtml(appUrl)}">${escapeHtml(article.title)}</a></p>
+</body>
+</html>
+`);
+}
+
+// A malformed escape such as "%E0%A4" gives null instead of throwing
+function decodePath(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return null;
+    }
+}
+
+function sendBadPath(res) {
+    sendJson(res, 400, { message: 'Malformed URL.' });
+}
+
+function serveStatic(req, res, pathname) {
+    const decoded = pathname === '/' ? 'index.html' : decodePath(pathname);
+    if (decoded === null) return sendBadPath(res);
+
+    const filePath = path.join(ROOT, decoded);
+
+    if (filePath !== ROOT && !filePath.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        return res.end();
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            return res.end('Not found');
+        }
+
+        res.writeHead(200, { 'Content-Type': contentTypes[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const { pathname, searchParams } = new URL(req.url, `http://${req.headers.host}`);
+    const uploadMatch = /^\/api\/uploads\/?([^/]*)$/.exec(pathname);
+    const submissionMatch = /^\/api\/([\w-]+)$/.exec(pathname);
+    const shareMatch = /^\/news\/([\w-]+)\/?$/.exec(pathname);
+
+    const uploadId = uploadMatch && uploadMatch[1] ? decodePath(uploadMatch[1]) : '';
+
+    // Inside then() so a synchronous throw is answered with a 500 too, rather than ending the server
+    Promise.resolve().then(() => {
+        if (uploadId === null) return sendBadPath(res);
+
+        return pathname === '/api/challenge'
+            ? handleChallenge(req, res, searchParams.get('form'))
+            : uploadMatch
+                ? handleUploads(req, res, uploadId)
+                : submissionMatch
+                    ? handleSubmission(req, res, submissionMatch[1])
+                    : shareMatch
+                        ? handleSharePage(req, res, shareMatch[1])
+                        : serveStatic(req, res, pathname);
+    }).catch(error => {
+        console.error(error);
+        sendJson(res, 500, { message: 'Stub server error.' });
+    });
+});
+
+// Required by the tests for its proof-of-work rules; only listens when run directly
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Stub server running at http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { server, handleChallenge, checkProofOfWork, isValidProofOfWork, POW_DIFFICULTY, POW_MAX_AGE };
@@ -0,0 +1,246 @@
+// Analytics Event Bus
+class AnalyticsBus {
+    constructor(options = {}) {
+        this.batchSize = options.batchSize || 10;
+        this.flushInterval = options.flushInterval || 5000;
+        this.maxQueue = options.maxQueue || 100;
+        this.clientIdKey = options.clientIdKey || 'analytics-client-id';
+        this.clientId = null;
+        this.adapters = new Map();
+        this.queue = [];
+        this.timer = null;
+
+        this.init();
+    }
+
+    init() {
+        // Last chance to send before the page goes away; adapters switch to sendBeacon
+        window.addEventListener('pagehide', () => this.flush({ beacon: true }));
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush({ beacon: true });
+            }
+        });
+
+        window.consentManager.onChange(() => this.handleConsentChange());
+    }
+
+    canDispatch() {
+        return window.consentManager.has('analytics');
+    }
+
+    // Events wait in memory until the visitor decides; after a refusal they are dropped
+    track(name, params = {}) {
+        if (window.consentManager.isDecided() && !this.canDispatch()) return;
+
+        this.queue.push({
+            name,
+            params,
+            timestamp: Date.now(),
+            page: window.location.hash || '#home',
+            locale: window.i18n.locale
+        });
+
+        if (this.queue.length > this.maxQueue) {
+            this.queue.shift();
+        }
+
+        if (!this.canDispatch()) return;
+
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        } else {
+            this.schedule();
+        }
+    }
+
+    schedule() {
+        if (this.timer) return;
+        this.timer = setTimeout(() => this.flush(), this.flushInterval);
+    }
+
+    flush({ beacon = false } = {}) {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (!this.queue.length || !this.canDispatch()) return;
+
+        const events = this.queue.splice(0);
+        const context = { beacon, clientId: this.getClientId() };
+
+        this.adapters.forEach((adapter, name) => {
+            try {
+                adapter.send(events, context);
+            } catch (e) {
+                console.warn(`Analytics adapter "${name}" failed:`, e);
+            }
+        });
+    }
+
+    handleConsentChange() {
+        if (this.canDispatch()) {
+            this.flush();
+            return;
+        }
+
+        // Consent withdrawn: forget queued events and the client id
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.queue = [];
+        this.clientId = null;
+
+        try {
+            localStorage.removeItem(this.clientIdKey);
+        } catch (e) {
+            // Storage is unavailable, so nothing was kept there
+        }
+    }
+
+    // Anonymous id that lets a collector group one browser's events; only stored with consent.
+    // Without storage it lasts for this page view.
+    getClientId() {
+        if (this.clientId) return this.clientId;
+
+        try {
+            this.clientId = localStorage.getItem(this.clientIdKey);
+        } catch (e) {
+            this.clientId = null;
+        }
+
+        if (!this.clientId) {
+            this.clientId = window.crypto && crypto.randomUUID
+                ? crypto.randomUUID()
+                : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+
+            try {
+                localStorage.setItem(this.clientIdKey, this.clientId);
+            } catch (e) {
+                console.warn('Failed to store the analytics client id:', e);
+            }
+        }
+
+        return this.clientId;
+    }
+
+    // Adapters implement send(events, { beacon, clientId })
+    addAdapter(name, adapter) {
+        this.adapters.set(name, adapter);
+    }
+
+    removeAdapter(name) {
+        this.adapters.delete(name);
+    }
+}
+
+// Logs events for local development
+class ConsoleAnalyticsAdapter {
+    send(events) {
+        events.forEach(event => {
+            console.log(`Analytics: ${event.name}`, event.params);
+        });
+    }
+}
+
+// Posts batches as JSON to a collector endpoint
+class HttpAnalyticsAdapter {
+    constructor(options = {}) {
+        this.url = options.url;
+        this.headers = options.headers || {};
+    }
+
+    createBody(events, { clientId }) {
+        return { clientId, events };
+    }
+
+    send(events, context) {
+        const body = JSON.stringify(this.createBody(events, context));
+
+        // sendBeacon survives page unload but cannot carry custom headers
+        if (context.beacon && navigator.sendBeacon &&
+            navigator.sendBeacon(this.url, new Blob([body], { type: 'application/json' }))) {
+            return;
+        }
+
+        fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            body,
+            keepalive: true
+        }).catch(() => {
+            // Analytics is best effort; a lost batch is not retried
+        });
+    }
+}
+
+// Google Analytics 4: forwards to gtag() when it is on the page, otherwise posts
+// Measurement Protocol shaped batches ({ client_id, events: [{ name, params }] }) to a proxy url
+class GA4AnalyticsAdapter extends HttpAnalyticsAdapter {
+    constructor(options = {}) {
+        super(options);
+        this.maxEvents = 25;
+    }
+
+    // GA4 event names are letters, digits and underscores, at most 40 characters
+    normalizeName(name) {
+        return name.replace(/[^a-zA-Z0-9_]/g, '_').replace(/^[^a-zA-Z]+/, '').slice(0, 40);
+    }
+
+    toGA4Event(event) {
+        return {
+            name: this.normalizeName(event.name),
+            params: {
+                ...event.params,
+                page_location: event.page,
+                language: event.locale,
+                engagement_time_msec: 1,
+                timestamp_micros: event.timestamp * 1000
+            }
+        };
+    }
+
+    createBody(events, { clientId }) {
+        return { client_id: clientId, events: events.map(event => this.toGA4Event(event)) };
+    }
+
+    send(events, context) {
+        if (!this.url && typeof window.gtag === 'function') {
+            events.forEach(event => {
+                const { name, params } = this.toGA4Event(event);
+                window.gtag('event', name, params);
+            });
+            return;
+        }
+
+        // The Measurement Protocol accepts at most 25 events per request
+        for (let i = 0; i < events.length; i += this.maxEvents) {
+            super.send(events.slice(i, i + this.maxEvents), context);
+        }
+    }
+}
+
+// Initialize analytics; collectors are added with
+// window.analytics.addAdapter('collector', new HttpAnalyticsAdapter({ url: '/api/collect' }))
+document.addEventListener('DOMContentLoaded', () => {
+    window.analytics = new AnalyticsBus();
+
+    if (window.i18n.debug) {
+        window.analytics.addAdapter('console', new ConsoleAnalyticsAdapter());
+    }
+
+    // Downloads anywhere on the site
+    document.addEventListener('click', (e) => {
+        const link = e.target.closest('a[download]');
+        if (link) {
+            window.analytics.track('file_download', {
+                file_name: link.getAttribute('download') || link.pathname.split('/').pop(),
+                link_url: link.href
+            });
+        }
+    });
+});
+
+// Export for use in other modules
+window.AnalyticsBus = AnalyticsBus;
+window.ConsoleAnalyticsAdapter = ConsoleAnalyticsAdapter;
+window.HttpAnalyticsAdapter = HttpAnalyticsAdapter;
+window.GA4AnalyticsAdapter = GA4AnalyticsAdapter;
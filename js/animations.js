@@ -156,17 +156,21 @@ class AnimationController {
     }
 
     setupHoverAnimations() {
-        // Enhanced hover effects for cards
-        const cards = document.querySelectorAll('.card, .product-card, .news-card, .leader-card');
-        
-        cards.forEach(card => {
-            card.addEventListener('mouseenter', () => {
+        // Enhanced hover effects for cards; delegated so rendered cards (product catalogue) get them too
+        const cardSelector = '.card, .product-card, .news-card, .leader-card';
+
+        document.addEventListener('mouseover', (e) => {
+            const card = e.target.closest(cardSelector);
+            if (card && !card.contains(e.relatedTarget)) {
                 this.addHoverEffect(card);
-            });
+            }
+        });
 
-            card.addEventListener('mouseleave', () => {
+        document.addEventListener('mouseout', (e) => {
+            const card = e.target.closest(cardSelector);
+            if (card && !card.contains(e.relatedTarget)) {
                 this.removeHoverEffect(card);
-            });
+            }
         });
 
         // Button hover effects
@@ -310,27 +314,8 @@ class AnimationController {
 
     // Counter animation with easing
     animateCounter(element, target, duration = 2000) {
-        const start = 0;
-        const startTime = performance.now();
-
-        const updateCounter = (currentTime) => {
-            const elapsed = currentTime - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            
-            // Easing function (ease-out)
-            const easeOut = 1 - Math.pow(1 - progress, 3);
-            const current = Math.floor(start + (target - start) * easeOut);
-            
-            element.textContent = current.toLocaleString();
-
-            if (progress < 1) {
-                requestAnimationFrame(updateCounter);
-            } else {
-                element.textContent = target.toLocaleString();
-            }
-        };
-
-        requestAnimationFrame(updateCounter);
+        element.setAttribute('data-target', target);
+        window.localeFormatter.animateCounter(element, { duration });
     }
 
     // Typewriter effect
@@ -403,6 +388,88 @@ class PageTransitions {
     constructor() {
         this.transitionDuration = 300;
         this.currentTransition = null;
+        this.defaultTransition = 'fade';
+        this.routeTransitions = new Map();
+    }
+
+    // Per-route transition; a data-transition attribute on the page wins
+    setRouteTransition(pageId, name) {
+        this.routeTransitions.set(pageId, name);
+    }
+
+    prefersReducedMotion() {
+        return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    }
+
+    getTransitionName(toPage) {
+        return toPage.getAttribute('data-transition') ||
+            this.routeTransitions.get(toPage.id) ||
+            this.defaultTransition;
+    }
+
+    // Slide left when moving forward in nav order, right when moving back
+    getSlideDirection(fromPage, toPage) {
+        const pages = Array.from(document.querySelectorAll('.page'));
+        return pages.indexOf(toPage) > pages.indexOf(fromPage) ? 'left' : 'right';
+    }
+
+    // Resolves once the incoming page has finished animating. Reduced motion wins over
+    // any transition, including one a caller asks for by name.
+    run(fromPage, toPage, name = this.getTransitionName(toPage)) {
+        let transition;
+
+        switch (this.prefersReducedMotion() ? 'none' : name) {
+            case 'fade':
+                transition = this.fadeTransition(fromPage, toPage);
+                break;
+            case 'slide':
+                transition = this.slideTransition(fromPage, toPage, this.getSlideDirection(fromPage, toPage));
+                break;
+            case 'scale':
+                transition = this.scaleTransition(fromPage, toPage);
+                break;
+            default:
+                transition = this.swap(fromPage, toPage);
+        }
+
+        this.currentTransition = transition.then(() => {
+            this.currentTransition = null;
+        });
+
+        return this.currentTransition;
+    }
+
+    swap(fromPage, toPage) {
+        fromPage.classList.remove('active');
+        toPage.classList.add('active');
+        return Promise.resolve();
+    }
+
+    // Shows the incoming page in its start state and animates it to its end state
+    enter(fromPage, toPage, startStyles, resolve) {
+        fromPage.classList.remove('active');
+        toPage.classList.add('active');
+        Object.assign(toPage.style, startStyles);
+
+        // Force a reflow so the start state is rendered before animating
+        void toPage.offsetWidth;
+
+        requestAnimationFrame(() => {
+            toPage.style.opacity = '1';
+            toPage.style.transform = 'none';
+
+            setTimeout(() => {
+                this.cleanup(fromPage, toPage);
+                resolve();
+            }, this.transitionDuration);
+        });
+    }
+
+    cleanup(...pages) {
+        pages.forEach(page => {
+            page.style.opacity = '';
+            page.style.transform = '';
+        });
     }
 
     fadeTransition(fromPage, toPage) {
@@ -411,16 +478,7 @@ class PageTransitions {
             fromPage.style.transform = 'translateY(-20px)';
             
             setTimeout(() => {
-                fromPage.classList.remove('active');
-                toPage.classList.add('active');
-                toPage.style.opacity = '0';
-                toPage.style.transform = 'translateY(20px)';
-                
-                requestAnimationFrame(() => {
-                    toPage.style.opacity = '1';
-                    toPage.style.transform = 'translateY(0)';
-                    resolve();
-                });
+                this.enter(fromPage, toPage, { opacity: '0', transform: 'translateY(20px)' }, resolve);
             }, this.transitionDuration / 2);
         });
     }
@@ -432,14 +490,9 @@ class PageTransitions {
             fromPage.style.transform = `translateX(${slideDistance})`;
             
             setTimeout(() => {
-                fromPage.classList.remove('active');
-                toPage.classList.add('active');
-                toPage.style.transform = `translateX(${direction === 'left' ? '100%' : '-100%'})`;
-                
-                requestAnimationFrame(() => {
-                    toPage.style.transform = 'translateX(0)';
-                    resolve();
-                });
+                this.enter(fromPage, toPage, {
+                    transform: `translateX(${direction === 'left' ? '100%' : '-100%'})`
+                }, resolve);
             }, this.transitionDuration);
         });
     }
@@ -450,16 +503,7 @@ class PageTransitions {
             fromPage.style.opacity = '0';
             
             setTimeout(() => {
-                fromPage.classList.remove('active');
-                toPage.classList.add('active');
-                toPage.style.transform = 'scale(1.2)';
-                toPage.style.opacity = '0';
-                
-                requestAnimationFrame(() => {
-                    toPage.style.transform = 'scale(1)';
-                    toPage.style.opacity = '1';
-                    resolve();
-                });
+                this.enter(fromPage, toPage, { opacity: '0', transform: 'scale(1.2)' }, resolve);
             }, this.transitionDuration / 2);
         });
     }
@@ -517,8 +561,6 @@ class ScrollAnimations {
     }
 
     setupProgressBars() {
-        const progressBars = document.querySelectorAll('.progress-fill');
-        
         const observer = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
@@ -537,7 +579,13 @@ class ScrollAnimations {
             });
         });
 
-        progressBars.forEach(bar => observer.observe(bar));
+        this.progressObserver = observer;
+        this.observeProgressBars();
+    }
+
+    // Also picks up bars rendered later, e.g. by the pipeline timeline
+    observeProgressBars(root = document) {
+        root.querySelectorAll('.progress-fill').forEach(bar => this.progressObserver.observe(bar));
     }
 
     setupCounterAnimations() {
@@ -556,29 +604,7 @@ class ScrollAnimations {
     }
 
     animateCounter(element) {
-        const target = parseInt(element.getAttribute('data-target'));
-        const duration = parseInt(element.getAttribute('data-duration')) || 2000;
-        const start = 0;
-        const startTime = performance.now();
-
-        const updateCounter = (currentTime) => {
-            const elapsed = currentTime - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            
-            // Easing function
-            const easeOutCubic = 1 - Math.pow(1 - progress, 3);
-            const current = Math.floor(start + (target - start) * easeOutCubic);
-            
-            element.textContent = current.toLocaleString();
-
-            if (progress < 1) {
-                requestAnimationFrame(updateCounter);
-            } else {
-                element.textContent = target.toLocaleString();
-            }
-        };
-
-        requestAnimationFrame(updateCounter);
+        window.localeFormatter.animateCounter(element);
     }
 }
 
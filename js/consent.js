@@ -0,0 +1,228 @@
+// Cookie and Consent Management
+class ConsentManager {
+    constructor(options = {}) {
+        // Bump the version when categories or their purpose change to ask everyone again
+        this.version = options.version || 1;
+        this.storageKey = options.storageKey || 'consent';
+        this.categories = options.categories || ['necessary', 'analytics', 'media'];
+        this.listeners = [];
+        this.state = this.load();
+        this.banner = null;
+        this.dialog = null;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.state) {
+            this.showBanner();
+        }
+
+        // Any [data-consent-preferences] element reopens the choices, e.g. a footer link
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-consent-preferences]')) {
+                e.preventDefault();
+                this.openPreferences();
+            }
+        });
+
+        window.i18n.onChange(() => {
+            [this.banner, this.dialog].forEach(element => element && this.translate(element));
+        });
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            return saved && saved.version === this.version ? saved : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (e) {
+            console.warn('Failed to save consent:', e);
+        }
+    }
+
+    isDecided() {
+        return Boolean(this.state);
+    }
+
+    has(category) {
+        if (category === 'necessary') return true;
+        return Boolean(this.state && this.state.categories[category]);
+    }
+
+    // Listeners receive the granted categories, e.g. { necessary: true, analytics: false, media: true }
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(item => item !== listener);
+        };
+    }
+
+    update(choices) {
+        const categories = {};
+        this.categories.forEach(category => {
+            categories[category] = category === 'necessary' || Boolean(choices[category]);
+        });
+
+        this.state = { version: this.version, categories, updatedAt: Date.now() };
+        this.save();
+        this.hideBanner();
+
+        // One failing listener must not keep the others from hearing about the choice
+        this.listeners.forEach(listener => {
+            try {
+                listener(categories);
+            } catch (e) {
+                console.error('Consent listener failed:', e);
+            }
+        });
+    }
+
+    acceptAll() {
+        this.update(Object.fromEntries(this.categories.map(category => [category, true])));
+    }
+
+    rejectAll() {
+        this.update({});
+    }
+
+    grant(category) {
+        this.update({ ...(this.state ? this.state.categories : {}), [category]: true });
+    }
+
+    // Elements carry their message key in data-consent-text so a language switch can re-render them
+    translate(root) {
+        [root, ...root.querySelectorAll('[data-consent-text], [data-consent-label]')].forEach(element => {
+            if (element.hasAttribute('data-consent-text')) {
+                element.textContent = window.i18n.t(element.getAttribute('data-consent-text'));
+            }
+            if (element.hasAttribute('data-consent-label')) {
+                element.setAttribute('aria-label', window.i18n.t(element.getAttribute('data-consent-label')));
+            }
+        });
+    }
+
+    showBanner() {
+        if (!this.banner) {
+            this.banner = document.createElement('div');
+            this.banner.className = 'consent-banner';
+            this.banner.setAttribute('role', 'region');
+            this.banner.setAttribute('data-consent-label', 'consent.bannerLabel');
+            this.banner.innerHTML = `
+                <p class="consent-banner-text" data-consent-text="consent.bannerText"></p>
+                <div class="consent-actions">
+                    <button type="button" class="consent-link" data-consent-action="preferences"
+                        data-consent-text="consent.customize"></button>
+                    <button type="button" class="btn btn-secondary" data-consent-action="reject"
+                        data-consent-text="consent.rejectAll"></button>
+                    <button type="button" class="btn btn-primary" data-consent-action="accept"
+                        data-consent-text="consent.acceptAll"></button>
+                </div>
+            `;
+
+            this.banner.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-consent-action]');
+                if (!button) return;
+
+                switch (button.getAttribute('data-consent-action')) {
+                    case 'accept':
+                        this.acceptAll();
+                        break;
+                    case 'reject':
+                        this.rejectAll();
+                        break;
+                    case 'preferences':
+                        this.openPreferences();
+                        break;
+                }
+            });
+
+            this.translate(this.banner);
+            document.body.appendChild(this.banner);
+        }
+
+        this.banner.hidden = false;
+    }
+
+    hideBanner() {
+        if (this.banner) {
+            this.banner.hidden = true;
+        }
+    }
+
+    createDialog() {
+        this.dialog = document.createElement('dialog');
+        this.dialog.className = 'consent-dialog';
+        this.dialog.setAttribute('aria-labelledby', 'consent-dialog-title');
+
+        const options = this.categories.map(category => `
+            <label class="consent-option">
+                <input type="checkbox" name="${category}" ${category === 'necessary' ? 'checked disabled' : ''}>
+                <span class="consent-option-text">
+                    <strong data-consent-text="consent.category.${category}"></strong>
+                    <small data-consent-text="consent.category.${category}Description"></small>
+                </span>
+            </label>
+        `).join('');
+
+        this.dialog.innerHTML = `
+            <h2 id="consent-dialog-title" data-consent-text="consent.preferencesTitle"></h2>
+            <p data-consent-text="consent.preferencesIntro"></p>
+            <div class="consent-options">${options}</div>
+            <div class="consent-actions">
+                <button type="button" class="btn btn-secondary" data-consent-action="reject"
+                    data-consent-text="consent.rejectAll"></button>
+                <button type="button" class="btn btn-primary" data-consent-action="save"
+                    data-consent-text="consent.save"></button>
+            </div>
+        `;
+
+        this.dialog.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-consent-action]');
+            if (!button) return;
+
+            if (button.getAttribute('data-consent-action') === 'save') {
+                const choices = {};
+                this.dialog.querySelectorAll('input[type="checkbox"]').forEach(input => {
+                    choices[input.name] = input.checked;
+                });
+                this.update(choices);
+            } else {
+                this.rejectAll();
+            }
+
+            this.dialog.close();
+        });
+
+        this.translate(this.dialog);
+        document.body.appendChild(this.dialog);
+    }
+
+    openPreferences() {
+        if (!this.dialog) {
+            this.createDialog();
+        }
+
+        // Start from the current choices
+        this.dialog.querySelectorAll('input[type="checkbox"]').forEach(input => {
+            input.checked = this.has(input.name);
+        });
+
+        this.dialog.showModal();
+    }
+}
+
+// Initialize before the modules that ask for consent
+document.addEventListener('DOMContentLoaded', () => {
+    window.consentManager = new ConsentManager();
+});
+
+// Export for use in other modules
+window.ConsentManager = ConsentManager;
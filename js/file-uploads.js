@@ -0,0 +1,279 @@
+// File Drop Zones
+class FileDropZone {
+    constructor(input) {
+        this.input = input;
+        this.element = null;
+        this.prompt = null;
+        this.list = null;
+        this.items = new Map();
+        this.previewUrls = [];
+
+        this.init();
+    }
+
+    init() {
+        this.createElements();
+        this.setupDragAndDrop();
+
+        this.input.addEventListener('change', () => this.render());
+
+        // form.reset() empties the input without a change event
+        if (this.input.form) {
+            this.input.form.addEventListener('reset', () => setTimeout(() => this.render()));
+        }
+
+        window.i18n.onChange(() => {
+            this.updateText();
+            this.render();
+        });
+    }
+
+    // Wraps the input so the whole zone opens the file picker and accepts drops
+    createElements() {
+        this.element = document.createElement('div');
+        this.element.className = 'file-dropzone';
+
+        this.prompt = document.createElement('div');
+        this.prompt.className = 'file-dropzone-prompt';
+        this.prompt.setAttribute('aria-hidden', 'true');
+        this.prompt.innerHTML = `
+            <i class="fas fa-cloud-upload-alt"></i>
+            <span class="file-dropzone-text"></span>
+            <span class="file-dropzone-hint"></span>
+        `;
+
+        this.list = document.createElement('ul');
+        this.list.className = 'file-list';
+
+        this.input.classList.add('file-dropzone-input');
+        this.input.insertAdjacentElement('beforebegin', this.element);
+        this.element.append(this.input, this.prompt);
+        this.element.insertAdjacentElement('afterend', this.list);
+
+        this.updateText();
+    }
+
+    updateText() {
+        const maxSize = this.input.getAttribute('data-max-size');
+        const hints = [];
+
+        if (this.input.accept) {
+            hints.push(FileDropZone.describeAccept(this.input.accept));
+        }
+        if (maxSize) {
+            hints.push(window.i18n.t('upload.maxSize', {
+                size: window.localeFormatter.formatFileSize(FileDropZone.parseSize(maxSize))
+            }));
+        }
+
+        this.prompt.querySelector('.file-dropzone-text').textContent =
+            window.i18n.t(this.input.multiple ? 'upload.promptMultiple' : 'upload.prompt');
+        this.prompt.querySelector('.file-dropzone-hint').textContent = hints.join(' · ');
+    }
+
+    setupDragAndDrop() {
+        let depth = 0;
+
+        this.element.addEventListener('dragenter', (e) => {
+            e.preventDefault();
+            depth++;
+            this.element.classList.add('is-dragover');
+        });
+
+        this.element.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = this.input.disabled ? 'none' : 'copy';
+        });
+
+        this.element.addEventListener('dragleave', () => {
+            depth = Math.max(depth - 1, 0);
+            if (!depth) {
+                this.element.classList.remove('is-dragover');
+            }
+        });
+
+        this.element.addEventListener('drop', (e) => {
+            e.preventDefault();
+            depth = 0;
+            this.element.classList.remove('is-dragover');
+
+            if (this.input.disabled || !e.dataTransfer.files.length) return;
+
+            // Drops add to a multiple selection and replace a single one
+            const dropped = Array.from(e.dataTransfer.files);
+            this.setFiles(this.input.multiple ? [...this.getFiles(), ...dropped] : dropped.slice(0, 1));
+        });
+    }
+
+    getFiles() {
+        return Array.from(this.input.files || []);
+    }
+
+    // Writes the selection back to the input so validation and FormData see it
+    setFiles(files) {
+        const transfer = new DataTransfer();
+        const seen = new Set();
+
+        files.forEach(file => {
+            const key = FileDropZone.getFileKey(file);
+            if (seen.has(key)) return;
+
+            seen.add(key);
+            transfer.items.add(file);
+        });
+
+        this.input.files = transfer.files;
+        this.input.dispatchEvent(new Event('input', { bubbles: true }));
+        this.input.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    removeFile(file) {
+        const key = FileDropZone.getFileKey(file);
+        this.setFiles(this.getFiles().filter(item => FileDropZone.getFileKey(item) !== key));
+        this.input.focus();
+    }
+
+    render() {
+        this.revokePreviews();
+        this.items.clear();
+        this.list.innerHTML = '';
+
+        this.getFiles().forEach(file => {
+            const item = this.renderItem(file);
+            this.items.set(FileDropZone.getFileKey(file), item);
+            this.list.appendChild(item);
+        });
+
+        this.element.classList.toggle('has-files', this.items.size > 0);
+    }
+
+    renderItem(file) {
+        const item = document.createElement('li');
+        item.className = 'file-item';
+
+        const details = document.createElement('div');
+        details.className = 'file-details';
+
+        const name = document.createElement('span');
+        name.className = 'file-name';
+        name.textContent = file.name;
+
+        const size = document.createElement('span');
+        size.className = 'file-size';
+        size.textContent = window.localeFormatter.formatFileSize(file.size);
+
+        const progress = document.createElement('progress');
+        progress.className = 'file-progress';
+        progress.max = 100;
+        progress.value = 0;
+        progress.hidden = true;
+        progress.setAttribute('aria-label', window.i18n.t('upload.progress', { name: file.name }));
+
+        details.append(name, size, progress);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'file-remove';
+        removeBtn.disabled = this.input.disabled;
+        removeBtn.setAttribute('aria-label', window.i18n.t('upload.remove', { name: file.name }));
+        removeBtn.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i>';
+        removeBtn.addEventListener('click', () => this.removeFile(file));
+
+        item.append(this.renderPreview(file), details, removeBtn);
+
+        return item;
+    }
+
+    // Thumbnails for images, the first page for PDFs, an icon for everything else
+    renderPreview(file) {
+        const preview = document.createElement('div');
+        preview.className = 'file-preview';
+        preview.setAttribute('aria-hidden', 'true');
+
+        if (file.type.startsWith('image/')) {
+            const image = document.createElement('img');
+            image.src = this.createPreviewUrl(file);
+            image.alt = '';
+            preview.appendChild(image);
+        } else if (file.type === 'application/pdf') {
+            const pdf = document.createElement('object');
+            pdf.type = 'application/pdf';
+            pdf.data = `${this.createPreviewUrl(file)}#toolbar=0&navpanes=0&view=Fit`;
+            pdf.tabIndex = -1;
+            pdf.innerHTML = '<i class="fas fa-file-pdf"></i>';
+            preview.appendChild(pdf);
+        } else {
+            preview.innerHTML = '<i class="fas fa-file-alt"></i>';
+        }
+
+        return preview;
+    }
+
+    createPreviewUrl(file) {
+        const url = URL.createObjectURL(file);
+        this.previewUrls.push(url);
+        return url;
+    }
+
+    revokePreviews() {
+        this.previewUrls.forEach(url => URL.revokeObjectURL(url));
+        this.previewUrls = [];
+    }
+
+    // fraction runs from 0 to 1; null hides the bar again
+    setProgress(file, fraction) {
+        const item = this.items.get(FileDropZone.getFileKey(file));
+        if (!item) return;
+
+        const progress = item.querySelector('.file-progress');
+        progress.hidden = fraction === null;
+        progress.value = Math.round((fraction || 0) * 100);
+        item.classList.toggle('is-uploaded', fraction === 1);
+    }
+
+    setDisabled(isDisabled) {
+        this.element.classList.toggle('is-disabled', isDisabled);
+        this.list.querySelectorAll('.file-remove').forEach(button => {
+            button.disabled = isDisabled;
+        });
+    }
+
+    static getFileKey(file) {
+        return `${file.name}:${file.size}:${file.lastModified}`;
+    }
+
+    // "5MB", "500 kB" or a plain byte count
+    static parseSize(value) {
+        const match = /^\s*([\d.]+)\s*([kmg]?)b?\s*$/i.exec(String(value));
+        if (!match) return Infinity;
+
+        const power = ['', 'k', 'm', 'g'].indexOf(match[2].toLowerCase());
+        return parseFloat(match[1]) * Math.pow(1024, power);
+    }
+
+    // Matches the accept attribute: extensions, exact MIME types and "image/*" wildcards
+    static matchesAccept(file, accept) {
+        const name = file.name.toLowerCase();
+        const type = (file.type || '').toLowerCase();
+
+        return accept.split(',')
+            .map(token => token.trim().toLowerCase())
+            .filter(Boolean)
+            .some(token => {
+                if (token.startsWith('.')) return name.endsWith(token);
+                if (token.endsWith('/*')) return type.startsWith(token.slice(0, -1));
+                return type === token;
+            });
+    }
+
+    // ".pdf,.doc,image/*" reads as "PDF, DOC, IMAGE"
+    static describeAccept(accept) {
+        return accept.split(',')
+            .map(token => token.trim().replace(/^\./, '').replace(/\/\*$/, '').toUpperCase())
+            .filter(Boolean)
+            .join(', ');
+    }
+}
+
+// Export for use in other modules
+window.FileDropZone = FileDropZone;
@@ -0,0 +1,189 @@
+// Focus Management
+class FocusManager {
+    constructor() {
+        this.focusableSelector = [
+            'a[href]',
+            'area[href]',
+            'button:not([disabled])',
+            'input:not([disabled]):not([type="hidden"])',
+            'select:not([disabled])',
+            'textarea:not([disabled])',
+            'iframe',
+            'object',
+            '[contenteditable="true"]',
+            '[tabindex]:not([tabindex="-1"])'
+        ].join(', ');
+        this.traps = [];
+
+        this.init();
+    }
+
+    init() {
+        this.setupFocusVisible();
+        this.setupSkipLinks();
+
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        // A trap that lets pointer users leave (onPointerOutside) is released before the press moves focus
+        document.addEventListener('pointerdown', (e) => {
+            const trap = this.getActiveTrap();
+            if (trap && trap.onPointerOutside && !trap.container.contains(e.target)) {
+                trap.onPointerOutside(e);
+            }
+        }, true);
+
+        // Clicks and scripts can still move focus behind an open trap
+        document.addEventListener('focusin', (e) => {
+            const trap = this.getActiveTrap();
+            if (trap && !trap.container.contains(e.target)) {
+                this.focusFirst(trap.container);
+            }
+        });
+    }
+
+    // Browsers without :focus-visible get a keyboard-navigation class on <html> instead
+    setupFocusVisible() {
+        if (window.CSS && CSS.supports && CSS.supports('selector(:focus-visible)')) return;
+
+        const root = document.documentElement;
+        root.classList.add('no-focus-visible');
+
+        document.addEventListener('keydown', (e) => {
+            if (!e.metaKey && !e.altKey && !e.ctrlKey) {
+                root.classList.add('keyboard-navigation');
+            }
+        }, true);
+
+        ['mousedown', 'pointerdown', 'touchstart'].forEach(type => {
+            document.addEventListener(type, () => root.classList.remove('keyboard-navigation'), true);
+        });
+    }
+
+    // <a class="skip-link" href="#main-content"> moves focus, not just the scroll position
+    setupSkipLinks() {
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('.skip-link');
+            if (!link) return;
+
+            const target = document.getElementById(link.getAttribute('href').substring(1));
+            if (!target) return;
+
+            e.preventDefault();
+            this.focusElement(target);
+            target.scrollIntoView({ block: 'start' });
+        });
+    }
+
+    handleKeydown(e) {
+        const trap = this.getActiveTrap();
+        if (!trap) return;
+
+        if (e.key === 'Escape' && trap.onEscape) {
+            e.preventDefault();
+            trap.onEscape();
+            return;
+        }
+
+        if (e.key !== 'Tab') return;
+
+        const focusable = this.getFocusable(trap.container);
+
+        if (!focusable.length) {
+            e.preventDefault();
+            this.focusElement(trap.container);
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && (document.activeElement === first || !trap.container.contains(document.activeElement))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    getFocusable(container) {
+        return Array.from(container.querySelectorAll(this.focusableSelector)).filter(element => {
+            return !element.closest('[hidden], [inert]') &&
+                element.getClientRects().length > 0 &&
+                getComputedStyle(element).visibility !== 'hidden';
+        });
+    }
+
+    getActiveTrap() {
+        return this.traps[this.traps.length - 1] || null;
+    }
+
+    // Keeps Tab inside container until the returned release function is called.
+    // Traps stack, so a dialog opened from a dialog hands focus back to the first one.
+    trap(container, options = {}) {
+        const trap = {
+            container,
+            onEscape: options.onEscape || null,
+            onPointerOutside: options.onPointerOutside || null,
+            returnFocus: options.returnFocus || document.activeElement
+        };
+
+        this.traps.push(trap);
+
+        const initial = typeof options.initialFocus === 'string'
+            ? container.querySelector(options.initialFocus)
+            : options.initialFocus;
+
+        if (initial) {
+            this.focusElement(initial);
+        } else {
+            this.focusFirst(container);
+        }
+
+        let released = false;
+        return ({ restoreFocus = true } = {}) => {
+            if (released) return;
+            released = true;
+
+            this.traps = this.traps.filter(item => item !== trap);
+
+            // Back to the control that opened it, if it is still on the page
+            if (restoreFocus && trap.returnFocus && trap.returnFocus.isConnected &&
+                typeof trap.returnFocus.focus === 'function') {
+                trap.returnFocus.focus({ preventScroll: true });
+            }
+        };
+    }
+
+    focusFirst(container) {
+        const [first] = this.getFocusable(container);
+        this.focusElement(first || container);
+    }
+
+    // Headings and landmarks get a programmatic tabindex so they can hold focus
+    focusElement(element) {
+        if (!element) return;
+
+        if (!element.matches(this.focusableSelector) && !element.hasAttribute('tabindex')) {
+            element.setAttribute('tabindex', '-1');
+        }
+
+        element.focus({ preventScroll: true });
+    }
+
+    // After a page change screen readers start reading from the new heading
+    focusPageHeading(pageElement, sectionElement = null) {
+        const scope = sectionElement || pageElement;
+        const heading = scope.querySelector('h1, h2') || scope;
+
+        this.focusElement(heading);
+    }
+}
+
+// Initialize before the modules that open dialogs and menus
+document.addEventListener('DOMContentLoaded', () => {
+    window.focusManager = new FocusManager();
+});
+
+// Export for use in other modules
+window.FocusManager = FocusManager;
@@ -0,0 +1,187 @@
+// Form Draft Storage
+class DraftStore {
+    constructor(options = {}) {
+        this.prefix = options.prefix || 'form-autosave-';
+        this.ttl = options.ttl || 7 * 24 * 60 * 60 * 1000;
+        this.dbName = options.dbName || 'form-drafts';
+        this.cryptoKey = null;
+
+        this.purgeExpired();
+    }
+
+    getKey(id) {
+        return `${this.prefix}${id}`;
+    }
+
+    // "30m", "12h", "7d" or plain milliseconds
+    static parseDuration(value) {
+        const match = /^(\d+)\s*(ms|s|m|h|d)?$/.exec(String(value || '').trim());
+        if (!match) return null;
+
+        const units = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+        return parseInt(match[1], 10) * units[match[2] || 'ms'];
+    }
+
+    isEncryptionSupported() {
+        return Boolean(window.crypto && crypto.subtle && window.indexedDB);
+    }
+
+    // Records look like { savedAt, expiresAt, encrypted, payload }
+    async save(id, data, { ttl = this.ttl, encrypt = false } = {}) {
+        const savedAt = Date.now();
+        const payload = encrypt ? await this.encrypt(data) : data;
+
+        localStorage.setItem(this.getKey(id), JSON.stringify({
+            savedAt,
+            expiresAt: savedAt + ttl,
+            encrypted: encrypt,
+            payload
+        }));
+    }
+
+    // Resolves to { data, savedAt }, or null when there is no usable draft
+    async load(id) {
+        const record = this.readRecord(id);
+
+        if (!record) {
+            this.remove(id);
+            return null;
+        }
+
+        try {
+            const data = record.encrypted ? await this.decrypt(record.payload) : record.payload;
+            return { data, savedAt: record.savedAt };
+        } catch (e) {
+            // Cleared site data takes the key with it; the draft cannot be read any more
+            console.warn('Failed to decrypt form draft:', e);
+            this.remove(id);
+            return null;
+        }
+    }
+
+    // Expired, corrupt and pre-expiry (raw values) records all read as missing
+    readRecord(id) {
+        try {
+            const record = JSON.parse(localStorage.getItem(this.getKey(id)));
+            return record && record.expiresAt > Date.now() && record.payload ? record : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    remove(id) {
+        try {
+            localStorage.removeItem(this.getKey(id));
+        } catch (e) {
+            // Storage is unavailable, so there is nothing to remove
+        }
+    }
+
+    // Runs from the constructor, so blocked storage (private mode, disabled cookies) must not throw
+    purgeExpired() {
+        let keys;
+        try {
+            keys = Object.keys(localStorage);
+        } catch (e) {
+            return;
+        }
+
+        keys
+            .filter(key => key.startsWith(this.prefix))
+            .forEach(key => {
+                const id = key.slice(this.prefix.length);
+                if (!this.readRecord(id)) {
+                    this.remove(id);
+                }
+            });
+    }
+
+    // AES-GCM with a non-extractable key kept in IndexedDB: the ciphertext in
+    // localStorage is useless on its own and scripts cannot export the key
+    async getCryptoKey() {
+        if (!this.cryptoKey) {
+            this.cryptoKey = this.loadCryptoKey().catch(error => {
+                this.cryptoKey = null;
+                throw error;
+            });
+        }
+
+        return this.cryptoKey;
+    }
+
+    async loadCryptoKey() {
+        if (!this.isEncryptionSupported()) {
+            throw new Error('Web Crypto or IndexedDB is not available');
+        }
+
+        const db = await this.openDatabase();
+
+        try {
+            let key = await this.transaction(db, 'readonly', store => store.get('draft-key'));
+
+            if (!key) {
+                key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+                await this.transaction(db, 'readwrite', store => store.put(key, 'draft-key'));
+            }
+
+            return key;
+        } finally {
+            db.close();
+        }
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('keys');
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    transaction(db, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction('keys', mode).objectStore('keys'));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async encrypt(data) {
+        const key = await this.getCryptoKey();
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const cipher = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            key,
+            new TextEncoder().encode(JSON.stringify(data))
+        );
+
+        return { iv: DraftStore.toBase64(iv), data: DraftStore.toBase64(new Uint8Array(cipher)) };
+    }
+
+    async decrypt(payload) {
+        const key = await this.getCryptoKey();
+        const plain = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: DraftStore.fromBase64(payload.iv) },
+            key,
+            DraftStore.fromBase64(payload.data)
+        );
+
+        return JSON.parse(new TextDecoder().decode(plain));
+    }
+
+    static toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    static fromBase64(value) {
+        return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+    }
+}
+
+// Export for use in other modules
+window.DraftStore = DraftStore;
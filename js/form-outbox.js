@@ -0,0 +1,217 @@
+// Offline Submission Outbox
+//
+// Queued entries are written to localStorage encrypted, through the same DraftStore as form drafts.
+// Entries with sensitive values (fields inside [data-no-autosave], passwords) and everything on
+// browsers without Web Crypto stay in memory only, so they are retried for as long as the tab is open.
+// Proof-of-work tokens are single use and expire, so entries keep only the settings and every
+// delivery solves a fresh one.
+class SubmissionOutbox {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'form-outbox';
+        this.store = options.store || new DraftStore({ prefix: `${this.storageKey}-` });
+        this.transports = options.transports || new Map();
+        this.spamGuard = options.spamGuard || null;
+        this.baseDelay = options.baseDelay || 5000;
+        this.maxDelay = options.maxDelay || 10 * 60 * 1000;
+        this.maxAge = options.maxAge || 7 * 24 * 60 * 60 * 1000;
+        this.onChange = options.onChange || (() => {});
+        this.entries = [];
+        this.timer = null;
+        this.isFlushing = false;
+        this.saving = Promise.resolve();
+
+        this.init();
+    }
+
+    init() {
+        window.addEventListener('online', () => this.flush({ force: true }));
+
+        // Retry anything left over from a previous visit
+        this.ready = this.load().then(entries => {
+            const queued = new Set(this.entries.map(entry => entry.id));
+            this.entries = entries.filter(entry => !queued.has(entry.id)).concat(this.entries);
+
+            this.dropExpired();
+            if (this.entries.length) {
+                this.flush({ force: true });
+            }
+        });
+    }
+
+    async load() {
+        try {
+            const record = await this.store.load('entries');
+            return record && Array.isArray(record.data) ? record.data : [];
+        } catch (e) {
+            console.warn('Failed to load submission outbox:', e);
+            return [];
+        }
+    }
+
+    // Writes are chained so an older, slower encryption cannot overwrite a newer queue
+    save() {
+        const entries = this.entries.filter(entry => entry.persist !== false);
+
+        this.saving = this.saving.then(() => {
+            if (!entries.length) {
+                this.store.remove('entries');
+                return null;
+            }
+
+            return this.store.save('entries', entries, { ttl: this.maxAge, encrypt: true });
+        }).catch(e => {
+            // Without a working key the queue is kept in memory rather than stored in plain text
+            console.warn('Failed to save submission outbox:', e);
+            this.store.remove('entries');
+        });
+
+        return this.saving;
+    }
+
+    // Failures worth retrying later; validation errors are not
+    static isRetryable(error) {
+        if (!navigator.onLine) return true;
+        return ['network', 'timeout'].includes(error.code) || error.status >= 500;
+    }
+
+    // Stable fingerprint so the same intent is only queued once
+    fingerprint(formId, data) {
+        return `${formId}:${JSON.stringify(data, Object.keys(data).sort())}`;
+    }
+
+    canStore(data) {
+        return !Object.values(data).some(value =>
+            value instanceof Blob || (Array.isArray(value) && value.some(item => item instanceof Blob))
+        );
+    }
+
+    // sensitive: the data holds values that must not be written to storage;
+    // proofOfWork: { difficulty, challengeUrl } when the endpoint expects a token
+    enqueue({ idempotencyKey, formId, formType, request, data, proofOfWork = null, sensitive = false }) {
+        if (!this.canStore(data)) return null;
+
+        const fingerprint = this.fingerprint(formId, data);
+        const existing = this.entries.find(entry => entry.fingerprint === fingerprint);
+        if (existing) return existing;
+
+        const entry = {
+            id: idempotencyKey,
+            fingerprint,
+            formId,
+            formType,
+            request: {
+                url: request.url,
+                method: request.method,
+                encoding: request.encoding,
+                timeout: request.timeout,
+                headers: request.headers,
+                transport: request.transport
+            },
+            data,
+            proofOfWork,
+            persist: !sensitive,
+            attempts: 1,
+            createdAt: Date.now(),
+            nextAttemptAt: Date.now() + this.getDelay(1)
+        };
+
+        this.entries.push(entry);
+        this.save();
+        this.onChange('pending', entry);
+        this.schedule();
+
+        return entry;
+    }
+
+    // Exponential backoff with a little jitter
+    getDelay(attempts) {
+        const delay = Math.min(this.baseDelay * Math.pow(2, attempts - 1), this.maxDelay);
+        return delay + Math.random() * 1000;
+    }
+
+    getPending(formId) {
+        return formId ? this.entries.filter(entry => entry.formId === formId) : this.entries.slice();
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        if (!this.entries.length) return;
+
+        const next = Math.min(...this.entries.map(entry => entry.nextAttemptAt));
+        this.timer = setTimeout(() => this.flush(), Math.max(next - Date.now(), 0));
+    }
+
+    async flush({ force = false } = {}) {
+        if (this.isFlushing || !navigator.onLine) return;
+
+        this.isFlushing = true;
+        const now = Date.now();
+        const due = this.entries.filter(entry => force || entry.nextAttemptAt <= now);
+
+        for (const entry of due) {
+            await this.deliver(entry);
+        }
+
+        this.isFlushing = false;
+        this.schedule();
+    }
+
+    async deliver(entry) {
+        const transport = this.transports.get(entry.request.transport);
+        if (!transport) return;
+
+        try {
+            const response = await transport.send({
+                ...entry.request,
+                formType: entry.formType,
+                data: await this.prepareData(entry),
+                headers: { ...entry.request.headers, 'Idempotency-Key': entry.id }
+            });
+
+            this.remove(entry);
+            this.onChange('delivered', entry, response);
+        } catch (error) {
+            if (!SubmissionOutbox.isRetryable(error)) {
+                this.remove(entry);
+                this.onChange('failed', entry, error);
+                return;
+            }
+
+            entry.attempts++;
+            entry.nextAttemptAt = Date.now() + this.getDelay(entry.attempts);
+            this.save();
+            this.onChange('pending', entry, error);
+        }
+    }
+
+    async prepareData(entry) {
+        if (!entry.proofOfWork || !this.spamGuard) return entry.data;
+
+        try {
+            const { difficulty, challengeUrl } = entry.proofOfWork;
+            const { expiresAt, ...token } = await this.spamGuard.createProofOfWork(entry.formId, difficulty, { challengeUrl });
+            return { ...entry.data, _proofOfWork: token };
+        } catch (error) {
+            // The challenge server may be as unreachable as the endpoint; try again later
+            throw new SubmissionError(error.message, { code: 'network' });
+        }
+    }
+
+    remove(entry) {
+        this.entries = this.entries.filter(item => item !== entry);
+        this.save();
+    }
+
+    dropExpired() {
+        const cutoff = Date.now() - this.maxAge;
+        this.entries
+            .filter(entry => entry.createdAt < cutoff)
+            .forEach(entry => {
+                this.remove(entry);
+                this.onChange('expired', entry);
+            });
+    }
+}
+
+// Export for use in other modules
+window.SubmissionOutbox = SubmissionOutbox;
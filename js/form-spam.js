@@ -0,0 +1,177 @@
+// Form Spam Protection
+class SpamGuard {
+    constructor(options = {}) {
+        this.minFillTime = options.minFillTime !== undefined ? options.minFillTime : 3000;
+        this.maxSubmissions = options.maxSubmissions || 3;
+        this.rateWindow = options.rateWindow || 10 * 60 * 1000;
+        this.storageKey = options.storageKey || 'form-submissions';
+        this.honeypotName = options.honeypotName || 'website';
+        this.proofOfWorkMaxAge = options.proofOfWorkMaxAge || 10 * 60 * 1000;
+        this.checks = new Map();
+
+        this.setupChecks();
+    }
+
+    // Checks receive { formId, form, startedAt, draftRestored } and return (or resolve to) true when the submission looks human
+    setupChecks() {
+        // Bots fill in every field, people never see this one
+        this.checks.set('honeypot', ({ form }) => {
+            const trap = form.querySelector('[data-honeypot]');
+            return !trap || !trap.value;
+        });
+
+        // Nobody completes a form within a few seconds of first focusing it, unless a saved draft
+        // filled it in for them
+        this.checks.set('timing', ({ form, startedAt, draftRestored }) => {
+            if (draftRestored) return true;
+
+            const minFillTime = parseInt(form.getAttribute('data-min-fill-time'), 10);
+            return Boolean(startedAt) && Date.now() - startedAt >= (isNaN(minFillTime) ? this.minFillTime : minFillTime);
+        });
+
+        this.checks.set('rateLimit', ({ formId }) => {
+            return this.getRecentSubmissions(formId).length < this.maxSubmissions;
+        });
+    }
+
+    addCheck(name, check) {
+        this.checks.set(name, check);
+    }
+
+    // Resolves to the name of the first failed check, or null
+    async check(context) {
+        for (const [name, check] of this.checks) {
+            try {
+                if (!(await check(context))) return name;
+            } catch (e) {
+                // A broken check should not lock visitors out of the form
+                console.warn(`Spam check "${name}" failed:`, e);
+            }
+        }
+
+        return null;
+    }
+
+    createHoneypot(form) {
+        if (form.querySelector('[data-honeypot]')) return;
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'form-honeypot';
+        wrapper.setAttribute('aria-hidden', 'true');
+        wrapper.innerHTML = `
+            <label for="${form.id}-${this.honeypotName}"></label>
+            <input type="text" id="${form.id}-${this.honeypotName}" name="${this.honeypotName}"
+                tabindex="-1" autocomplete="off" data-honeypot>
+        `;
+
+        wrapper.querySelector('label').textContent = window.i18n.t('form.honeypot');
+        form.appendChild(wrapper);
+    }
+
+    loadSubmissions() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    getRecentSubmissions(formId) {
+        const cutoff = Date.now() - this.rateWindow;
+        return (this.loadSubmissions()[formId] || []).filter(time => time > cutoff);
+    }
+
+    recordSubmission(formId) {
+        const submissions = this.loadSubmissions();
+        submissions[formId] = [...this.getRecentSubmissions(formId), Date.now()];
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(submissions));
+        } catch (e) {
+            console.warn('Failed to record submission:', e);
+        }
+    }
+
+    // Web Crypto is only there in secure contexts (https or localhost)
+    isProofOfWorkSupported() {
+        return Boolean(window.crypto && crypto.subtle);
+    }
+
+    // Hashcash-style token: SHA-256 of "challenge:nonce" must start with `difficulty` zero bits.
+    // The backend must make each token worth exactly one submission:
+    //   - with challengeUrl, GET <url>?form=<formId> returns { challenge, difficulty, expiresAt };
+    //     the server only accepts challenges it issued, unexpired, once, at no less than that difficulty
+    //   - otherwise the challenge is "<formId>:<timestamp>:<random>"; the server rejects timestamps
+    //     older than proofOfWorkMaxAge (or in the future), challenges it has seen before and
+    //     difficulties below its own minimum
+    // dev/stub-server.js implements both.
+    async createProofOfWork(formId, difficulty, { challengeUrl = null } = {}) {
+        if (!this.isProofOfWorkSupported()) {
+            throw new Error('Web Crypto is not available on this page');
+        }
+
+        let challenge;
+        let expiresAt;
+
+        if (challengeUrl) {
+            const issued = await this.fetchChallenge(challengeUrl, formId);
+            challenge = issued.challenge;
+            difficulty = Math.max(difficulty, issued.difficulty || 0);
+            expiresAt = issued.expiresAt;
+        } else {
+            const random = Math.random().toString(36).slice(2, 10);
+            challenge = `${formId}:${Date.now()}:${random}`;
+            expiresAt = Date.now() + this.proofOfWorkMaxAge;
+        }
+
+        const encoder = new TextEncoder();
+        let nonce = 0;
+
+        while (true) {
+            const hash = await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`));
+
+            if (SpamGuard.countLeadingZeroBits(new Uint8Array(hash)) >= difficulty) {
+                return { challenge, nonce, difficulty, expiresAt };
+            }
+
+            nonce++;
+        }
+    }
+
+    async fetchChallenge(url, formId) {
+        const separator = url.includes('?') ? '&' : '?';
+        const response = await fetch(`${url}${separator}form=${encodeURIComponent(formId)}`, {
+            headers: { Accept: 'application/json' },
+            credentials: 'same-origin'
+        });
+
+        if (!response.ok) {
+            throw new Error(`Proof-of-work challenge request failed (${response.status})`);
+        }
+
+        const issued = await response.json();
+        if (!issued || typeof issued.challenge !== 'string') {
+            throw new Error('Proof-of-work challenge response has no challenge');
+        }
+
+        return issued;
+    }
+
+    static countLeadingZeroBits(bytes) {
+        let bits = 0;
+
+        for (const byte of bytes) {
+            if (byte === 0) {
+                bits += 8;
+                continue;
+            }
+
+            return bits + Math.clz32(byte) - 24;
+        }
+
+        return bits;
+    }
+}
+
+// Export for use in other modules
+window.SpamGuard = SpamGuard;
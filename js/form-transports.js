@@ -0,0 +1,383 @@
+// Form Submission Transports
+class SubmissionError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.code = details.code || 'server';
+        this.status = details.status || 0;
+        this.fieldErrors = details.fieldErrors || {};
+        this.response = details.response || null;
+    }
+}
+
+// Sends submissions to a real endpoint with fetch
+class HttpTransport {
+    constructor(options = {}) {
+        this.timeout = options.timeout || 15000;
+        this.headers = options.headers || {};
+        this.chunkSize = options.chunkSize || 1024 * 1024;
+        this.chunkRetries = options.chunkRetries !== undefined ? options.chunkRetries : 3;
+        this.retryDelay = options.retryDelay || 1000;
+        this.uploadStorageKey = options.uploadStorageKey || 'form-uploads';
+        this.uploadMaxAge = options.uploadMaxAge || 24 * 60 * 60 * 1000;
+    }
+
+    async send(request) {
+        const { url, method = 'POST', encoding = 'json', data, signal } = request;
+
+        if (!url) {
+            throw new SubmissionError('No submission endpoint configured.', { code: 'config' });
+        }
+
+        const headers = { Accept: 'application/json', ...this.headers, ...request.headers };
+        let body;
+
+        if (encoding === 'multipart') {
+            body = this.toFormData(data);
+        } else {
+            body = JSON.stringify(data);
+            headers['Content-Type'] = 'application/json';
+        }
+
+        const { response, payload } = await this.request(url, { method, headers, body }, {
+            signal,
+            timeout: request.timeout
+        });
+
+        return {
+            success: true,
+            status: response.status,
+            message: payload && payload.message,
+            data: payload
+        };
+    }
+
+    // fetch with a timeout, the caller's abort signal and SubmissionError for every failure
+    async request(url, init, { signal, timeout = this.timeout } = {}) {
+        // Combine the caller's abort signal with our own timeout
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout || this.timeout);
+        const abortFromCaller = () => controller.abort();
+
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', abortFromCaller);
+        }
+
+        try {
+            const response = await fetch(url, {
+                ...init,
+                signal: controller.signal,
+                credentials: 'same-origin'
+            });
+
+            const payload = await this.parseBody(response);
+
+            if (!response.ok) {
+                throw new SubmissionError(
+                    (payload && payload.message) || `Submission failed (${response.status}). Please try again.`,
+                    {
+                        status: response.status,
+                        fieldErrors: this.normalizeFieldErrors(payload),
+                        response: payload
+                    }
+                );
+            }
+
+            return { response, payload };
+        } catch (error) {
+            if (error instanceof SubmissionError) throw error;
+
+            if (error.name === 'AbortError') {
+                throw new SubmissionError(
+                    timedOut ? 'The request timed out. Please try again.' : 'Submission cancelled.',
+                    { code: timedOut ? 'timeout' : 'aborted' }
+                );
+            }
+
+            throw new SubmissionError('Network error. Please check your connection and try again.', {
+                code: 'network'
+            });
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', abortFromCaller);
+            }
+        }
+    }
+
+    // Resumable chunked upload (a small subset of the tus protocol):
+    //   POST   url      { name, size, type }  ->  { id }
+    //   HEAD   url/id                         ->  Upload-Offset header
+    //   PATCH  url/id   chunk at Upload-Offset ->  new Upload-Offset header
+    // Resolves to a reference the submission can carry instead of the file.
+    async uploadFile(file, options = {}) {
+        const { url, onProgress = () => {} } = options;
+
+        if (!url) {
+            throw new SubmissionError('No upload endpoint configured.', { code: 'config' });
+        }
+
+        const key = `${url}|${file.name}|${file.size}|${file.lastModified}`;
+        let upload = this.getResumableUpload(key);
+        let offset = null;
+
+        // Pick up where an interrupted upload of the same file stopped
+        if (upload) {
+            offset = await this.getUploadOffset(upload.location, options).catch(() => null);
+        }
+
+        if (offset === null) {
+            upload = await this.createUpload(url, file, options);
+            offset = 0;
+            this.saveResumableUpload(key, upload);
+        }
+
+        let attempts = 0;
+        let resync = false;
+
+        while (offset < file.size) {
+            onProgress(offset, file.size);
+
+            try {
+                if (resync) {
+                    offset = await this.getUploadOffset(upload.location, options);
+                    resync = false;
+                    continue;
+                }
+
+                offset = await this.sendChunk(upload.location, file, offset, options);
+                attempts = 0;
+            } catch (error) {
+                // Flaky connections, and a 409 because the server has a different offset, carry on from
+                // the offset the server reports; a failed probe for it uses up an attempt as well
+                const conflict = error.status === 409;
+                if (!(conflict || this.isTransient(error)) || ++attempts > this.chunkRetries) throw error;
+
+                if (!conflict) {
+                    await new Promise(resolve => setTimeout(resolve, this.retryDelay * Math.pow(2, attempts - 1)));
+                }
+                resync = true;
+            }
+        }
+
+        this.removeResumableUpload(key);
+        onProgress(file.size, file.size);
+
+        return { uploadId: upload.id, name: file.name, size: file.size, type: file.type };
+    }
+
+    async createUpload(url, file, options) {
+        const { payload } = await this.request(url, {
+            method: 'POST',
+            headers: {
+                Accept: 'application/json',
+                'Content-Type': 'application/json',
+                ...this.headers,
+                ...options.headers
+            },
+            body: JSON.stringify({ name: file.name, size: file.size, type: file.type })
+        }, options);
+
+        if (!payload || !payload.id) {
+            throw new SubmissionError('The upload server did not return an upload id.');
+        }
+
+        return {
+            id: payload.id,
+            location: `${url.replace(/\/$/, '')}/${encodeURIComponent(payload.id)}`,
+            createdAt: Date.now()
+        };
+    }
+
+    async getUploadOffset(location, options) {
+        const { response } = await this.request(location, {
+            method: 'HEAD',
+            headers: { ...this.headers, ...options.headers }
+        }, options);
+
+        const offset = parseInt(response.headers.get('Upload-Offset'), 10);
+        return isNaN(offset) ? 0 : offset;
+    }
+
+    async sendChunk(location, file, offset, options) {
+        const chunk = file.slice(offset, offset + (options.chunkSize || this.chunkSize));
+        const { response } = await this.request(location, {
+            method: 'PATCH',
+            headers: {
+                ...this.headers,
+                ...options.headers,
+                'Content-Type': 'application/offset+octet-stream',
+                'Upload-Offset': String(offset)
+            },
+            body: chunk
+        }, options);
+
+        const nextOffset = parseInt(response.headers.get('Upload-Offset'), 10);
+        return isNaN(nextOffset) ? offset + chunk.size : nextOffset;
+    }
+
+    isTransient(error) {
+        return ['network', 'timeout'].includes(error.code) || error.status >= 500;
+    }
+
+    // Upload locations are remembered per file so a reload can resume them
+    loadResumableUploads() {
+        try {
+            const uploads = JSON.parse(localStorage.getItem(this.uploadStorageKey)) || {};
+            const cutoff = Date.now() - this.uploadMaxAge;
+
+            Object.keys(uploads).forEach(key => {
+                if (uploads[key].createdAt < cutoff) delete uploads[key];
+            });
+
+            return uploads;
+        } catch (e) {
+            return {};
+        }
+    }
+
+    getResumableUpload(key) {
+        return this.loadResumableUploads()[key] || null;
+    }
+
+    saveResumableUpload(key, upload) {
+        const uploads = this.loadResumableUploads();
+        uploads[key] = upload;
+
+        try {
+            localStorage.setItem(this.uploadStorageKey, JSON.stringify(uploads));
+        } catch (e) {
+            console.warn('Failed to remember upload:', e);
+        }
+    }
+
+    removeResumableUpload(key) {
+        const uploads = this.loadResumableUploads();
+        if (!(key in uploads)) return;
+
+        delete uploads[key];
+
+        try {
+            localStorage.setItem(this.uploadStorageKey, JSON.stringify(uploads));
+        } catch (e) {
+            console.warn('Failed to forget upload:', e);
+        }
+    }
+
+    // Only JSON bodies are read; a proxy's HTML error page is not something to show visitors
+    async parseBody(response) {
+        const contentType = response.headers.get('Content-Type') || '';
+        if (!contentType.includes('application/json')) return null;
+
+        try {
+            return await response.json();
+        } catch {
+            return null;
+        }
+    }
+
+    // Accepts { errors: { field: message } } or { errors: [{ field, message }] }
+    normalizeFieldErrors(payload) {
+        const errors = payload && (payload.fieldErrors || payload.errors);
+        if (!errors) return {};
+
+        if (Array.isArray(errors)) {
+            return errors.reduce((result, error) => {
+                if (error && error.field) {
+                    result[error.field] = error.message;
+                }
+                return result;
+            }, {});
+        }
+
+        return typeof errors === 'object' ? errors : {};
+    }
+
+    toFormData(data) {
+        const formData = new FormData();
+
+        Object.keys(data).forEach(key => {
+            const value = data[key];
+            const values = Array.isArray(value) ? value : [value];
+
+            values.forEach(item => {
+                if (item === undefined || item === null) return;
+                formData.append(key, item instanceof Blob ? item : String(item));
+            });
+        });
+
+        return formData;
+    }
+}
+
+// Simulated backend for local development
+class MockTransport {
+    constructor(options = {}) {
+        this.failureRate = options.failureRate !== undefined ? options.failureRate : 0.1;
+        this.minDelay = options.minDelay || 1000;
+        this.maxDelay = options.maxDelay || 3000;
+    }
+
+    send(request) {
+        const { data, signal } = request;
+
+        return new Promise((resolve, reject) => {
+            // Simulate network delay
+            const delay = Math.random() * (this.maxDelay - this.minDelay) + this.minDelay;
+
+            const timer = setTimeout(() => {
+                // Simulate success/failure
+                if (Math.random() >= this.failureRate) {
+                    resolve({
+                        success: true,
+                        status: 200,
+                        data
+                    });
+                } else {
+                    reject(new SubmissionError('Submission failed. Please try again.', { code: 'network' }));
+                }
+            }, delay);
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(new SubmissionError('Submission cancelled.', { code: 'aborted' }));
+                });
+            }
+        });
+    }
+
+    // Pretends to upload in chunks so progress bars can be tried without a server
+    async uploadFile(file, options = {}) {
+        const { signal, onProgress = () => {} } = options;
+        const chunkSize = options.chunkSize || 256 * 1024;
+
+        for (let offset = 0; offset < file.size; offset += chunkSize) {
+            onProgress(offset, file.size);
+            await new Promise(resolve => setTimeout(resolve, 150));
+
+            if (signal && signal.aborted) {
+                throw new SubmissionError('Submission cancelled.', { code: 'aborted' });
+            }
+        }
+
+        onProgress(file.size, file.size);
+
+        return {
+            uploadId: `mock-${Date.now().toString(36)}`,
+            name: file.name,
+            size: file.size,
+            type: file.type
+        };
+    }
+}
+
+// Export for use in other modules
+window.SubmissionError = SubmissionError;
+window.HttpTransport = HttpTransport;
+window.MockTransport = MockTransport;
@@ -0,0 +1,189 @@
+// Locale-aware Number and Date Formatting
+class LocaleFormatter {
+    constructor() {
+        this.numberFormats = new Map();
+        this.dateFormats = new Map();
+        this.counters = new WeakMap();
+        this.currencyRegions = { INR: 'IN' };
+
+        this.init();
+    }
+
+    init() {
+        this.renderDates();
+
+        // Re-render dates and finished or running counters in the new language
+        window.i18n.onChange(() => {
+            this.renderDates();
+            this.renderCounters();
+        });
+    }
+
+    // The page language; rupee amounts use Indian grouping (lakh, crore) in any language.
+    // data-format-locale on an element overrides both.
+    getLocale(element) {
+        const override = element && element.getAttribute('data-format-locale');
+        if (override) return override;
+
+        const language = window.i18n.locale;
+        const currency = element && element.getAttribute('data-currency');
+        const region = currency && this.currencyRegions[currency];
+
+        return region ? `${language}-${region}` : language;
+    }
+
+    formatNumber(value, options = {}, locale = this.getLocale()) {
+        const key = `${locale}|${JSON.stringify(options)}`;
+
+        if (!this.numberFormats.has(key)) {
+            this.numberFormats.set(key, new Intl.NumberFormat(locale, options));
+        }
+
+        return this.numberFormats.get(key).format(value);
+    }
+
+    formatCurrency(value, currency, options = {}, locale) {
+        return this.formatNumber(value, { ...options, style: 'currency', currency }, locale);
+    }
+
+    // Takes a fraction: 0.26 renders as 26%
+    formatPercent(value, options = {}, locale) {
+        return this.formatNumber(value, { ...options, style: 'percent' }, locale);
+    }
+
+    formatCompact(value, options = {}, locale) {
+        return this.formatNumber(value, { ...options, notation: 'compact' }, locale);
+    }
+
+    // 1536 renders as "1.5 kB"
+    formatFileSize(bytes, locale) {
+        const units = ['byte', 'kilobyte', 'megabyte', 'gigabyte'];
+        let value = bytes;
+        let index = 0;
+
+        while (value >= 1024 && index < units.length - 1) {
+            value /= 1024;
+            index++;
+        }
+
+        return this.formatNumber(value, {
+            style: 'unit',
+            unit: units[index],
+            maximumFractionDigits: index ? 1 : 0
+        }, locale);
+    }
+
+    formatDate(date, options = { dateStyle: 'long' }, locale = this.getLocale()) {
+        const key = `${locale}|${JSON.stringify(options)}`;
+
+        if (!this.dateFormats.has(key)) {
+            this.dateFormats.set(key, new Intl.DateTimeFormat(locale, options));
+        }
+
+        return this.dateFormats.get(key).format(date);
+    }
+
+    // "2024-12-10" is a calendar day and "2027-06" a month, not UTC midnight
+    parseDate(value) {
+        const match = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/.exec(value);
+        return match ? new Date(match[1], match[2] - 1, match[3] || 1) : new Date(value);
+    }
+
+    // <time datetime="2024-12-10" data-format="date" data-date-style="medium">;
+    // data-date-style="month" leaves the day out, e.g. for expected milestones
+    renderDates(root = document) {
+        root.querySelectorAll('[data-format="date"][datetime]').forEach(element => {
+            const date = this.parseDate(element.getAttribute('datetime'));
+            if (isNaN(date)) return;
+
+            const dateStyle = element.getAttribute('data-date-style') || 'long';
+            const options = dateStyle === 'month' ? { year: 'numeric', month: 'long' } : { dateStyle };
+            element.textContent = this.formatDate(date, options, this.getLocale(element));
+        });
+    }
+
+    // data-format="number|currency|percent|compact"; currency and compact combine ("currency compact").
+    // data-currency picks the currency, data-decimals fixes the fraction digits.
+    getNumberOptions(element) {
+        const tokens = (element.getAttribute('data-format') || 'number').split(/\s+/);
+        const decimals = element.getAttribute('data-decimals');
+        const options = {};
+
+        if (tokens.includes('currency')) {
+            options.style = 'currency';
+            options.currency = element.getAttribute('data-currency') || 'USD';
+        } else if (tokens.includes('percent')) {
+            options.style = 'percent';
+        }
+
+        if (tokens.includes('compact')) {
+            options.notation = 'compact';
+        }
+
+        if (decimals !== null) {
+            options.minimumFractionDigits = parseInt(decimals, 10);
+            options.maximumFractionDigits = parseInt(decimals, 10);
+        } else if (options.style === 'currency' && !options.notation) {
+            // Whole amounts unless decimals are asked for
+            options.minimumFractionDigits = 0;
+            options.maximumFractionDigits = 0;
+        }
+
+        return options;
+    }
+
+    // Percent counters are written as whole numbers: data-target="26" renders 26%
+    formatElementValue(element, value) {
+        const options = this.getNumberOptions(element);
+        const number = options.style === 'percent' ? value / 100 : value;
+
+        return this.formatNumber(number, options, this.getLocale(element));
+    }
+
+    // Counts [data-target] up from zero; runs once per element
+    animateCounter(element, options = {}) {
+        const target = parseFloat(element.getAttribute('data-target'));
+        if (this.counters.has(element) || isNaN(target)) return;
+
+        const duration = options.duration || parseInt(element.getAttribute('data-duration'), 10) || 2000;
+        const decimals = parseInt(element.getAttribute('data-decimals'), 10) || 0;
+        const factor = Math.pow(10, decimals);
+        const state = { value: 0 };
+        const startTime = performance.now();
+
+        this.counters.set(element, state);
+
+        const updateCounter = (currentTime) => {
+            const progress = Math.min((currentTime - startTime) / duration, 1);
+
+            // Easing function (ease-out)
+            const easeOut = 1 - Math.pow(1 - progress, 3);
+
+            state.value = progress < 1 ? Math.floor(target * easeOut * factor) / factor : target;
+            element.textContent = this.formatElementValue(element, state.value);
+
+            if (progress < 1) {
+                requestAnimationFrame(updateCounter);
+            }
+        };
+
+        requestAnimationFrame(updateCounter);
+    }
+
+    renderCounters(root = document) {
+        root.querySelectorAll('[data-target]').forEach(element => {
+            const state = this.counters.get(element);
+            if (state) {
+                element.textContent = this.formatElementValue(element, state.value);
+            }
+        });
+    }
+}
+
+// Initialize once the page language is known
+document.addEventListener('DOMContentLoaded', () => {
+    window.localeFormatter = new LocaleFormatter();
+});
+
+// Export for use in other modules
+window.LocaleFormatter = LocaleFormatter;
@@ -3,15 +3,93 @@ class FormController {
     constructor() {
         this.forms = new Map();
         this.validators = new Map();
+        this.asyncValidators = new Map();
+        this.crossFieldValidators = new Map();
         this.submissionHandlers = new Map();
+        this.transports = new Map();
+        this.endpoints = new Map();
+        this.activeSubmissions = new Map();
+        this.spamGuard = new SpamGuard();
         
         this.init();
     }
 
     init() {
+        this.setupTransports();
         this.setupValidationRules();
         this.initializeForms();
+        this.setupOutbox();
         this.setupGlobalFormHandlers();
+        this.setupLocaleChange();
+    }
+
+    t(key, params) {
+        return window.i18n.t(key, params);
+    }
+
+    // Re-render everything that shows translated text
+    setupLocaleChange() {
+        window.i18n.onChange(() => {
+            this.forms.forEach((formConfig, formId) => {
+                formConfig.fields.forEach(fieldConfig => {
+                    if (fieldConfig.errorMessage && !fieldConfig.serverError && !fieldConfig.pendingValidation) {
+                        this.validateField(formConfig, fieldConfig);
+                    }
+                });
+
+                if (formConfig.wizard) {
+                    this.updateWizardText(formConfig);
+                }
+
+                if (formConfig.draftPrompt) {
+                    this.renderDraftPrompt(formConfig);
+                }
+
+                const summary = formConfig.element.querySelector('.form-error-summary');
+                if (summary) {
+                    summary.querySelector('.form-error-summary-title').textContent = this.t('form.errorSummaryTitle');
+                }
+
+                formConfig.element.querySelectorAll('.validation-spinner span').forEach(text => {
+                    text.textContent = this.t('form.checking');
+                });
+
+                const honeypotLabel = formConfig.element.querySelector('.form-honeypot label');
+                if (honeypotLabel) {
+                    honeypotLabel.textContent = this.t('form.honeypot');
+                }
+
+                this.updateOutboxStatus(formId);
+            });
+        });
+    }
+
+    // Explicit messages (data-validation, title attribute) win over the catalogue
+    getValidatorMessage(validator) {
+        if (validator.message) return validator.message;
+
+        const key = `validation.${validator.type}`;
+        return window.i18n.has(key) ? this.t(key, validator.params) : this.t('validation.invalid');
+    }
+
+    setupTransports() {
+        this.transports.set('http', new HttpTransport());
+        this.transports.set('mock', new MockTransport());
+    }
+
+    setupOutbox() {
+        this.outbox = new SubmissionOutbox({
+            transports: this.transports,
+            spamGuard: this.spamGuard,
+            onChange: (status, entry, detail) => this.handleOutboxChange(status, entry, detail)
+        });
+
+        // Stored entries are decrypted asynchronously
+        this.outbox.ready.then(() => {
+            this.forms.forEach((formConfig, formId) => {
+                this.updateOutboxStatus(formId);
+            });
+        });
     }
 
     setupValidationRules() {
@@ -50,6 +128,47 @@ class FormController {
             const regex = new RegExp(pattern);
             return regex.test(value);
         });
+
+        // File validators check every selected file, not the fake path in value
+        this.validators.set('accept', (value, accept, { field }) => {
+            return Array.from(field.files).every(file => FileDropZone.matchesAccept(file, accept));
+        });
+
+        this.validators.set('maxSize', (value, maxSize, { field }) => {
+            const limit = FileDropZone.parseSize(maxSize);
+            return Array.from(field.files).every(file => file.size <= limit);
+        });
+
+        this.validators.set('maxFiles', (value, maxFiles, { field }) => {
+            return field.files.length <= parseInt(maxFiles, 10);
+        });
+
+        // Cross-field rules receive all form values and the rule itself
+        this.crossFieldValidators.set('match', (values, rule) => {
+            const target = values[rule.target];
+            return !target || rule.fields.every(name => values[name] === target);
+        });
+
+        this.crossFieldValidators.set('atLeastOne', (values, rule) => {
+            return rule.fields.some(name => this.hasValue(values[name]));
+        });
+
+        this.crossFieldValidators.set('after', (values, rule) => {
+            const [startName, endName] = rule.fields;
+            const start = values[startName];
+            const end = values[endName];
+
+            if (!start || !end) return true;
+
+            const isNumeric = !isNaN(start) && !isNaN(end);
+            return isNumeric
+                ? parseFloat(end) > parseFloat(start)
+                : new Date(end).getTime() > new Date(start).getTime();
+        });
+
+        this.crossFieldValidators.set('custom', (values, rule) => {
+            return rule.validate(values, rule);
+        });
     }
 
     initializeForms() {
@@ -73,7 +192,8 @@ class FormController {
             fields: new Map(),
             validationRules: new Map(),
             isValid: false,
-            submitHandler: null
+            submitHandler: null,
+            wizard: null
         };
 
         // Register form fields
@@ -82,6 +202,22 @@ class FormController {
             this.registerField(config, field);
         });
 
+        this.spamGuard.createHoneypot(form);
+
+        // Solve the proof-of-work puzzle while the visitor is still typing
+        form.addEventListener('focusin', () => this.prepareProofOfWork(config), { once: true });
+
+        // Form-level cross-field rules from data-validation
+        this.setupFormRules(config);
+
+        // Conditional visibility and requirement rules
+        this.setupConditionalFields(config);
+
+        // Multi-step wizard mode
+        if (form.querySelector('fieldset[data-step]')) {
+            this.setupWizard(config);
+        }
+
         // Setup form submission
         form.addEventListener('submit', (e) => {
             e.preventDefault();
@@ -109,23 +245,424 @@ class FormController {
         if (formGroup) {
             fieldConfig.errorElement = formGroup.querySelector('.error-message') || 
                                      this.createErrorElement(formGroup);
+            this.describeField(field, fieldConfig.errorElement, `${formConfig.element.id}-${fieldName}`);
         }
 
         // Setup validation rules based on attributes
         this.setupFieldValidation(fieldConfig, field);
 
+        if (field.type === 'file') {
+            fieldConfig.dropZone = new FileDropZone(field);
+        }
+
+        // Cross-field rules declared on a field attach their errors to it
+        fieldConfig.validators = fieldConfig.validators.filter(validator => {
+            if (!this.crossFieldValidators.has(validator.type)) return true;
+
+            this.addRule(formConfig, {
+                ...validator,
+                fields: [...(validator.fields || []), fieldName],
+                target: fieldName
+            });
+            return false;
+        });
+
         // Setup real-time validation
         field.addEventListener('input', () => {
             this.validateField(formConfig, fieldConfig);
         });
 
+        // Leaving a field is when its outcome is worth announcing
         field.addEventListener('blur', () => {
-            this.validateField(formConfig, fieldConfig);
+            this.validateField(formConfig, fieldConfig, { announce: true });
         });
 
         formConfig.fields.set(fieldName, fieldConfig);
     }
 
+    // data-show-if / data-required-if rules, e.g. "inquiry-type=careers",
+    // "inquiry-type=investment|partnership", "inquiry-type!=general" or "newsletter"
+    setupConditionalFields(formConfig) {
+        const form = formConfig.element;
+
+        formConfig.conditions = Array.from(form.querySelectorAll('[data-show-if], [data-required-if]'))
+            .map(element => ({
+                element,
+                showIf: element.hasAttribute('data-show-if')
+                    ? this.parseCondition(element.getAttribute('data-show-if'))
+                    : null,
+                requiredIf: element.hasAttribute('data-required-if')
+                    ? this.parseCondition(element.getAttribute('data-required-if'))
+                    : null
+            }));
+
+        if (!formConfig.conditions.length) return;
+
+        form.addEventListener('change', () => this.applyConditions(formConfig));
+        form.addEventListener('input', () => this.applyConditions(formConfig));
+
+        this.applyConditions(formConfig, { initial: true });
+    }
+
+    // Conditions separated by ";" must all match
+    parseCondition(expression) {
+        return expression.split(';')
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map(part => {
+                const match = part.match(/^([^!=]+?)\s*(!=|=)\s*(.*)$/);
+
+                if (!match) {
+                    return { name: part, operator: 'truthy', values: [] };
+                }
+
+                return {
+                    name: match[1].trim(),
+                    operator: match[2],
+                    values: match[3].split('|').map(value => value.trim())
+                };
+            });
+    }
+
+    evaluateCondition(form, conditions) {
+        return conditions.every(condition => {
+            const value = this.getControlValue(form, condition.name);
+            const values = Array.isArray(value) ? value : [value];
+
+            switch (condition.operator) {
+                case '=':
+                    return values.some(item => condition.values.includes(item));
+                case '!=':
+                    return !values.some(item => condition.values.includes(item));
+                default:
+                    return values.some(Boolean);
+            }
+        });
+    }
+
+    getControlValue(form, name) {
+        const control = form.elements.namedItem(name);
+
+        if (!control) return '';
+
+        if (control instanceof RadioNodeList) {
+            return control.value;
+        }
+
+        if (control.type === 'checkbox') {
+            return control.checked ? (control.value || 'on') : '';
+        }
+
+        if (control.type === 'select-multiple') {
+            return Array.from(control.selectedOptions).map(option => option.value);
+        }
+
+        return control.value;
+    }
+
+    applyConditions(formConfig, options = {}) {
+        const form = formConfig.element;
+
+        formConfig.conditions.forEach(({ element, showIf, requiredIf }) => {
+            if (showIf) {
+                const visible = this.evaluateCondition(form, showIf);
+                element.classList.toggle('is-condition-hidden', !visible);
+
+                // Wizard steps are skipped through the disabled state
+                if (element.matches('fieldset[data-step]')) {
+                    element.disabled = !visible;
+                } else {
+                    element.hidden = !visible;
+                }
+            }
+
+            if (requiredIf) {
+                element.required = this.evaluateCondition(form, requiredIf);
+            }
+        });
+
+        // Fields that just disappeared should not keep showing errors
+        formConfig.fields.forEach(fieldConfig => {
+            if (this.isFieldHidden(fieldConfig) && !fieldConfig.isValid) {
+                fieldConfig.isValid = true;
+                this.updateFieldUI(fieldConfig, true, '');
+            }
+        });
+
+        if (formConfig.wizard) {
+            this.goToStep(formConfig, formConfig.wizard.current, { focus: false, save: false });
+        }
+
+        if (!options.initial) {
+            this.updateFormValidity(formConfig);
+        }
+    }
+
+    isFieldHidden(fieldConfig) {
+        return Boolean(fieldConfig.element.closest('.is-condition-hidden'));
+    }
+
+    // Wizard mode: each fieldset[data-step] is one step; disabled fieldsets are skipped
+    setupWizard(formConfig) {
+        const form = formConfig.element;
+        const steps = Array.from(form.querySelectorAll('fieldset[data-step]'));
+        const submitButton = form.querySelector('button[type="submit"]');
+
+        formConfig.wizard = {
+            steps,
+            current: 0,
+            progress: this.createWizardProgress(steps),
+            nav: this.createWizardNav(formConfig)
+        };
+
+        form.classList.add('form-wizard');
+        form.insertBefore(formConfig.wizard.progress, steps[0]);
+
+        if (submitButton) {
+            submitButton.parentNode.insertBefore(formConfig.wizard.nav, submitButton);
+            formConfig.wizard.nav.appendChild(submitButton);
+        } else {
+            form.appendChild(formConfig.wizard.nav);
+        }
+
+        this.updateWizardText(formConfig);
+        this.goToStep(formConfig, 0, { focus: false, save: false });
+    }
+
+    createWizardProgress(steps) {
+        const progress = document.createElement('ol');
+        progress.className = 'wizard-progress';
+
+        steps.forEach((step, index) => {
+            const item = document.createElement('li');
+            item.className = 'wizard-progress-step';
+
+            const number = document.createElement('span');
+            number.className = 'wizard-progress-index';
+            number.textContent = index + 1;
+
+            const label = document.createElement('span');
+            label.className = 'wizard-progress-label';
+
+            item.append(number, label);
+            progress.appendChild(item);
+        });
+
+        return progress;
+    }
+
+    createWizardNav(formConfig) {
+        const nav = document.createElement('div');
+        nav.className = 'wizard-nav';
+        nav.innerHTML = `
+            <button type="button" class="btn btn-secondary wizard-back">
+                <i class="fas fa-arrow-left" aria-hidden="true"></i> <span class="wizard-back-label"></span>
+            </button>
+            <button type="button" class="btn btn-primary wizard-next">
+                <span class="wizard-next-label"></span> <i class="fas fa-arrow-right" aria-hidden="true"></i>
+            </button>
+        `;
+
+        nav.querySelector('.wizard-back').addEventListener('click', () => this.previousStep(formConfig));
+        nav.querySelector('.wizard-next').addEventListener('click', () => this.nextStep(formConfig));
+
+        return nav;
+    }
+
+    getStepTitle(step, index) {
+        const legend = step.querySelector('legend');
+        return step.getAttribute('data-step-title') ||
+            (legend ? legend.textContent.trim() : this.t('form.step', { number: index + 1 }));
+    }
+
+    updateWizardText(formConfig) {
+        const wizard = formConfig.wizard;
+
+        wizard.progress.setAttribute('aria-label', this.t('form.progress'));
+        wizard.steps.forEach((step, index) => {
+            wizard.progress.children[index].querySelector('.wizard-progress-label').textContent = this.getStepTitle(step, index);
+        });
+
+        wizard.nav.querySelector('.wizard-back-label').textContent = this.t('form.back');
+        wizard.nav.querySelector('.wizard-next-label').textContent = this.t('form.next');
+    }
+
+    getAvailableSteps(formConfig) {
+        return formConfig.wizard.steps.filter(step => !step.disabled);
+    }
+
+    getStepFields(formConfig, step) {
+        return Array.from(formConfig.fields.values())
+            .filter(fieldConfig => step.contains(fieldConfig.element));
+    }
+
+    goToStep(formConfig, index, options = {}) {
+        const wizard = formConfig.wizard;
+        const available = this.getAvailableSteps(formConfig);
+        const target = wizard.steps[index];
+
+        if (!target || target.disabled) return;
+
+        wizard.current = index;
+
+        wizard.steps.forEach((step, stepIndex) => {
+            step.hidden = stepIndex !== index;
+        });
+
+        // Progress: completed, current and skipped steps
+        const position = available.indexOf(target);
+        Array.from(wizard.progress.children).forEach((item, stepIndex) => {
+            const step = wizard.steps[stepIndex];
+            item.hidden = step.disabled;
+            item.classList.toggle('active', stepIndex === index);
+            item.classList.toggle('completed', available.indexOf(step) < position && !step.disabled);
+
+            if (stepIndex === index) {
+                item.setAttribute('aria-current', 'step');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+
+        // Only the last step can submit
+        const isLast = position === available.length - 1;
+        const submitButton = formConfig.element.querySelector('button[type="submit"]');
+        wizard.nav.querySelector('.wizard-back').hidden = position === 0;
+        wizard.nav.querySelector('.wizard-next').hidden = isLast;
+        if (submitButton) {
+            submitButton.hidden = !isLast;
+        }
+
+        if (options.focus !== false) {
+            const firstField = target.querySelector('input, select, textarea');
+            if (firstField) {
+                firstField.focus();
+            }
+        }
+
+        if (options.save !== false && formConfig.saveDraft) {
+            formConfig.saveDraft();
+        }
+    }
+
+    validateStep(formConfig, step) {
+        const fieldConfigs = this.getStepFields(formConfig, step);
+
+        fieldConfigs.forEach(fieldConfig => {
+            this.validateField(formConfig, fieldConfig, { immediate: true });
+        });
+
+        return this.waitForValidation(formConfig, fieldConfigs);
+    }
+
+    async nextStep(formConfig) {
+        const wizard = formConfig.wizard;
+        const current = wizard.steps[wizard.current];
+
+        if (!(await this.validateStep(formConfig, current))) {
+            this.focusFirstError(formConfig);
+            return false;
+        }
+
+        const available = this.getAvailableSteps(formConfig);
+        const next = available[available.indexOf(current) + 1];
+        if (next) {
+            this.goToStep(formConfig, wizard.steps.indexOf(next));
+        }
+
+        return true;
+    }
+
+    previousStep(formConfig) {
+        const wizard = formConfig.wizard;
+        const available = this.getAvailableSteps(formConfig);
+        const previous = available[available.indexOf(wizard.steps[wizard.current]) - 1];
+
+        if (previous) {
+            this.goToStep(formConfig, wizard.steps.indexOf(previous));
+        }
+    }
+
+    isLastStep(formConfig) {
+        const available = this.getAvailableSteps(formConfig);
+        return available.indexOf(formConfig.wizard.steps[formConfig.wizard.current]) === available.length - 1;
+    }
+
+    // e.g. <form data-validation='[{"type": "atLeastOne", "fields": ["phone", "email"], "message": "..."}]'>
+    setupFormRules(formConfig) {
+        const form = formConfig.element;
+        const declaration = form.getAttribute('data-validation');
+
+        if (declaration) {
+            try {
+                JSON.parse(declaration).forEach(rule => this.addRule(formConfig, rule));
+            } catch (e) {
+                console.warn('Invalid form validation rules:', declaration);
+            }
+        }
+
+        // Re-check a rule's target whenever one of its other fields changes
+        form.addEventListener('input', (e) => {
+            const changedName = e.target.name || e.target.id;
+
+            formConfig.validationRules.forEach(rule => {
+                const target = formConfig.fields.get(rule.target);
+
+                if (target && rule.target !== changedName && rule.fields.includes(changedName) && target.touched) {
+                    this.validateField(formConfig, target);
+                }
+            });
+        });
+    }
+
+    // Rules: { type, fields, target?, message, validate? }. The error attaches to target,
+    // which defaults to the first field for atLeastOne and the last field otherwise.
+    addRule(formConfig, rule) {
+        const fields = Array.from(new Set(rule.fields || []));
+        const target = rule.target || (rule.type === 'atLeastOne' ? fields[0] : fields[fields.length - 1]);
+        const name = rule.name || `${rule.type}:${fields.join(',')}`;
+
+        formConfig.validationRules.set(name, {
+            ...rule,
+            name,
+            fields,
+            target,
+        });
+    }
+
+    getFormValueMap(formConfig) {
+        const values = {};
+
+        formConfig.fields.forEach((fieldConfig, fieldName) => {
+            values[fieldName] = this.getControlValue(formConfig.element, fieldName);
+        });
+
+        return values;
+    }
+
+    hasValue(value) {
+        if (Array.isArray(value)) return value.length > 0;
+        return Boolean(value && String(value).trim());
+    }
+
+    // Returns the first failing rule message for this field, or ''
+    checkFormRules(formConfig, fieldName) {
+        const rules = Array.from(formConfig.validationRules.values()).filter(rule => rule.target === fieldName);
+        if (!rules.length) return '';
+
+        const values = this.getFormValueMap(formConfig);
+
+        for (const rule of rules) {
+            const validatorFn = this.crossFieldValidators.get(rule.type);
+
+            if (validatorFn && !validatorFn(values, rule)) {
+                return this.getValidatorMessage(rule);
+            }
+        }
+
+        return '';
+    }
+
     createErrorElement(formGroup) {
         const errorElement = document.createElement('div');
         errorElement.className = 'error-message';
@@ -133,34 +670,37 @@ class FormController {
         return errorElement;
     }
 
+    // Screen readers read the error text along with the field's label
+    describeField(field, errorElement, fallbackId) {
+        if (!errorElement.id) {
+            errorElement.id = `${field.id || fallbackId}-error`;
+        }
+
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+        if (!describedBy.includes(errorElement.id)) {
+            field.setAttribute('aria-describedby', [...describedBy, errorElement.id].join(' '));
+        }
+    }
+
     setupFieldValidation(fieldConfig, field) {
-        // Required validation
-        if (field.hasAttribute('required')) {
-            fieldConfig.validators.push({
-                type: 'required',
-                message: 'This field is required'
-            });
+        // Required validation (data-required-if toggles the attribute at runtime)
+        if (field.hasAttribute('required') || field.hasAttribute('data-required-if')) {
+            fieldConfig.validators.push({ type: 'required' });
         }
 
         // Type-based validation
         switch (field.type) {
             case 'email':
-                fieldConfig.validators.push({
-                    type: 'email',
-                    message: 'Please enter a valid email address'
-                });
+                fieldConfig.validators.push({ type: 'email' });
                 break;
             case 'tel':
-                fieldConfig.validators.push({
-                    type: 'phone',
-                    message: 'Please enter a valid phone number'
-                });
+                fieldConfig.validators.push({ type: 'phone' });
                 break;
             case 'url':
-                fieldConfig.validators.push({
-                    type: 'url',
-                    message: 'Please enter a valid URL'
-                });
+                fieldConfig.validators.push({ type: 'url' });
+                break;
+            case 'file':
+                this.setupFileValidation(fieldConfig, field);
                 break;
         }
 
@@ -169,7 +709,7 @@ class FormController {
             fieldConfig.validators.push({
                 type: 'minLength',
                 value: field.getAttribute('minlength'),
-                message: `Minimum length is ${field.getAttribute('minlength')} characters`
+                params: { count: parseInt(field.getAttribute('minlength'), 10) }
             });
         }
 
@@ -177,7 +717,7 @@ class FormController {
             fieldConfig.validators.push({
                 type: 'maxLength',
                 value: field.getAttribute('maxlength'),
-                message: `Maximum length is ${field.getAttribute('maxlength')} characters`
+                params: { count: parseInt(field.getAttribute('maxlength'), 10) }
             });
         }
 
@@ -185,7 +725,7 @@ class FormController {
             fieldConfig.validators.push({
                 type: 'pattern',
                 value: field.getAttribute('pattern'),
-                message: field.getAttribute('title') || 'Please match the required format'
+                message: field.getAttribute('title')
             });
         }
 
@@ -203,27 +743,118 @@ class FormController {
         }
     }
 
-    validateField(formConfig, fieldConfig) {
+    // accept, data-max-size="5MB" and data-max-files="3"
+    setupFileValidation(fieldConfig, field) {
+        if (field.accept) {
+            fieldConfig.validators.push({
+                type: 'accept',
+                value: field.accept,
+                params: { types: FileDropZone.describeAccept(field.accept) }
+            });
+        }
+
+        if (field.hasAttribute('data-max-size')) {
+            fieldConfig.validators.push({
+                type: 'maxSize',
+                value: field.getAttribute('data-max-size'),
+                params: { size: field.getAttribute('data-max-size') }
+            });
+        }
+
+        if (field.hasAttribute('data-max-files')) {
+            fieldConfig.validators.push({
+                type: 'maxFiles',
+                value: field.getAttribute('data-max-files'),
+                params: { count: parseInt(field.getAttribute('data-max-files'), 10) }
+            });
+        }
+    }
+
+    validateField(formConfig, fieldConfig, options = {}) {
         const field = fieldConfig.element;
         const value = field.value;
+        const asyncValidators = [];
         let isValid = true;
         let errorMessage = '';
 
-        // Run all validators
+        // Hidden conditional fields are never validated
+        if (this.isFieldHidden(fieldConfig)) {
+            this.cancelAsyncValidation(fieldConfig);
+            fieldConfig.isValid = true;
+            this.updateFieldUI(fieldConfig, true, '');
+            this.updateFormValidity(formConfig);
+            return true;
+        }
+
+        // Run all synchronous validators; async ones only run once these pass
         for (const validator of fieldConfig.validators) {
             const validatorFn = this.validators.get(validator.type);
+
+            // Optional fields are only checked once they have a value
+            if (validator.type === 'required' ? !field.required : !value) {
+                continue;
+            }
             
             if (validatorFn) {
-                const result = validatorFn(value, validator.value);
-                
+                if (this.asyncValidators.has(validator.type)) {
+                    asyncValidators.push(validator);
+                    continue;
+                }
+
+                const result = validatorFn(value, validator.value, {
+                    field,
+                    form: formConfig.element
+                });
+
+                // A promise is always truthy: treat the validator as async from now on
+                if (result && typeof result.then === 'function') {
+                    console.warn(`Validator "${validator.type}" returned a promise; register it with { async: true }`);
+                    result.then(null, () => {});
+                    this.asyncValidators.set(validator.type, { debounce: 0 });
+                    asyncValidators.push(validator);
+                    continue;
+                }
+
                 if (!result) {
                     isValid = false;
-                    errorMessage = validator.message;
+                    errorMessage = this.getValidatorMessage(validator);
                     break;
                 }
             }
         }
 
+        fieldConfig.touched = true;
+        fieldConfig.serverError = false;
+
+        // Cross-field rules targeting this field
+        if (isValid) {
+            const ruleMessage = this.checkFormRules(formConfig, fieldConfig.element.name || fieldConfig.element.id);
+
+            if (ruleMessage) {
+                isValid = false;
+                errorMessage = ruleMessage;
+            }
+        }
+
+        if (isValid && asyncValidators.length) {
+            const cache = fieldConfig.asyncResult;
+
+            if (cache && cache.value === value) {
+                // Already checked this exact value
+                isValid = cache.isValid;
+                errorMessage = cache.validator ? this.getValidatorMessage(cache.validator) : '';
+            } else {
+                // Keep an in-flight check for the same value unless asked to hurry
+                if (!(fieldConfig.pendingValidation && fieldConfig.pendingValue === value && !options.immediate)) {
+                    this.runAsyncValidators(formConfig, fieldConfig, asyncValidators, value, options);
+                }
+                fieldConfig.value = value;
+                return false;
+            }
+        }
+
+        this.cancelAsyncValidation(fieldConfig);
+
         // Update field state
         fieldConfig.isValid = isValid;
         fieldConfig.value = value;
@@ -231,12 +862,129 @@ class FormController {
         // Update UI
         this.updateFieldUI(fieldConfig, isValid, errorMessage);
 
+        if (options.announce && errorMessage) {
+            this.announceFieldError(fieldConfig);
+        }
+
         // Update form validity
         this.updateFormValidity(formConfig);
 
         return isValid;
     }
 
+    // Debounced, cancellable run of promise-returning validators
+    runAsyncValidators(formConfig, fieldConfig, validators, value, options = {}) {
+        this.cancelAsyncValidation(fieldConfig);
+
+        const controller = new AbortController();
+        const delay = options.immediate
+            ? 0
+            : Math.max(...validators.map(validator => this.asyncValidators.get(validator.type).debounce));
+
+        fieldConfig.isValid = false;
+        fieldConfig.pendingValue = value;
+        fieldConfig.asyncController = controller;
+        this.setFieldPending(fieldConfig, true);
+        this.updateFormValidity(formConfig);
+
+        fieldConfig.pendingValidation = new Promise((resolve) => {
+            const timer = setTimeout(async () => {
+                let failed = null;
+
+                for (const validator of validators) {
+                    try {
+                        const result = await this.validators.get(validator.type)(value, validator.value, {
+                            signal: controller.signal,
+                            field: fieldConfig.element,
+                            form: formConfig.element
+                        });
+
+                        if (!result) {
+                            failed = validator;
+                            break;
+                        }
+                    } catch (error) {
+                        if (controller.signal.aborted) break;
+
+                        // A failing lookup should not lock visitors out of the form
+                        console.warn(`Async validator "${validator.type}" failed:`, error);
+                    }
+                }
+
+                // A newer value superseded this check
+                if (controller.signal.aborted) return;
+
+                const isValid = !failed;
+                const errorMessage = failed ? this.getValidatorMessage(failed) : '';
+
+                // Keep the validator rather than its text so a locale change can re-render it
+                fieldConfig.asyncResult = { value, isValid, validator: failed };
+                fieldConfig.pendingValidation = null;
+                fieldConfig.asyncController = null;
+                fieldConfig.isValid = isValid;
+
+                this.setFieldPending(fieldConfig, false);
+                this.updateFieldUI(fieldConfig, isValid, errorMessage);
+                this.updateFormValidity(formConfig);
+
+                // The result usually lands after the visitor has moved on
+                if (!isValid) {
+                    this.announceFieldError(fieldConfig);
+                }
+
+                resolve(isValid);
+            }, delay);
+
+            controller.signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                resolve(false);
+            });
+        });
+    }
+
+    cancelAsyncValidation(fieldConfig) {
+        if (!fieldConfig.asyncController) return;
+
+        fieldConfig.asyncController.abort();
+        fieldConfig.asyncController = null;
+        fieldConfig.pendingValidation = null;
+        this.setFieldPending(fieldConfig, false);
+    }
+
+    setFieldPending(fieldConfig, isPending) {
+        const field = fieldConfig.element;
+        const formGroup = field.closest('.form-group');
+
+        field.setAttribute('aria-busy', String(isPending));
+
+        if (!formGroup) return;
+
+        formGroup.classList.toggle('validating', isPending);
+
+        let spinner = formGroup.querySelector('.validation-spinner');
+        if (isPending && !spinner) {
+            spinner = document.createElement('span');
+            spinner.className = 'validation-spinner';
+            spinner.innerHTML = '<i class="fas fa-spinner fa-spin" aria-hidden="true"></i> <span></span>';
+            spinner.querySelector('span').textContent = this.t('form.checking');
+            field.insertAdjacentElement('afterend', spinner);
+        } else if (!isPending && spinner) {
+            spinner.remove();
+        }
+    }
+
+    // Resolves once no async check is pending; new checks started meanwhile are awaited too
+    async waitForValidation(formConfig, fieldConfigs = Array.from(formConfig.fields.values())) {
+        let pending = fieldConfigs.filter(fieldConfig => fieldConfig.pendingValidation);
+
+        while (pending.length) {
+            await Promise.all(pending.map(fieldConfig => fieldConfig.pendingValidation));
+            pending = fieldConfigs.filter(fieldConfig => fieldConfig.pendingValidation);
+        }
+
+        return fieldConfigs.every(fieldConfig => fieldConfig.isValid || this.isFieldHidden(fieldConfig));
+    }
+
     updateFieldUI(fieldConfig, isValid, errorMessage) {
         const field = fieldConfig.element;
         const formGroup = field.closest('.form-group');
@@ -252,6 +1000,14 @@ class FormController {
             }
         }
 
+        fieldConfig.errorMessage = errorMessage;
+
+        if (isValid) {
+            field.removeAttribute('aria-invalid');
+        } else {
+            field.setAttribute('aria-invalid', 'true');
+        }
+
         if (errorElement) {
             errorElement.textContent = errorMessage;
             errorElement.style.opacity = errorMessage ? '1' : '0';
@@ -271,13 +1027,19 @@ class FormController {
         let isFormValid = true;
         
         formConfig.fields.forEach(fieldConfig => {
-            if (!fieldConfig.isValid && fieldConfig.element.hasAttribute('required')) {
+            if (!fieldConfig.isValid && fieldConfig.element.required && !this.isFieldHidden(fieldConfig)) {
                 isFormValid = false;
             }
         });
 
         formConfig.isValid = isFormValid;
 
+        // Keep a visible error summary in sync as errors get fixed
+        const summary = formConfig.element.querySelector('.form-error-summary');
+        if (summary && !summary.hidden) {
+            this.renderErrorSummary(formConfig);
+        }
+
         // Update submit button state
         const submitButton = formConfig.element.querySelector('button[type="submit"]');
         if (submitButton) {
@@ -291,22 +1053,48 @@ class FormController {
         }
     }
 
-    handleFormSubmission(formId) {
+    async handleFormSubmission(formId) {
         const formConfig = this.forms.get(formId);
         
-        if (!formConfig) return;
+        if (!formConfig || formConfig.isValidating || this.activeSubmissions.has(formId)) return;
+
+        // Enter on an earlier wizard step advances instead of submitting
+        if (formConfig.wizard && !this.isLastStep(formConfig)) {
+            this.nextStep(formConfig);
+            return;
+        }
+
+        // Validate all fields, waiting for pending async checks
+        formConfig.isValidating = true;
+        formConfig.element.setAttribute('aria-busy', 'true');
 
-        // Validate all fields
-        let isFormValid = true;
         formConfig.fields.forEach(fieldConfig => {
-            if (!this.validateField(formConfig, fieldConfig)) {
-                isFormValid = false;
-            }
+            this.validateField(formConfig, fieldConfig, { immediate: true });
         });
 
+        const isFormValid = await this.waitForValidation(formConfig);
+
+        formConfig.isValidating = false;
+        formConfig.element.removeAttribute('aria-busy');
+
         if (!isFormValid) {
-            this.focusFirstError(formConfig);
-            this.showFormError('Please correct the errors below');
+            this.renderErrorSummary(formConfig);
+            this.focusErrorSummary(formConfig);
+            return;
+        }
+
+        this.clearErrorSummary(formConfig);
+
+        // Bots are turned away before anything is sent
+        const rejection = await this.spamGuard.check({
+            formId,
+            form: formConfig.element,
+            startedAt: formConfig.startedAt,
+            draftRestored: Boolean(formConfig.draftRestored)
+        });
+
+        if (rejection) {
+            this.handleSpamRejection(formConfig, rejection);
             return;
         }
 
@@ -326,6 +1114,9 @@ class FormController {
         
         formConfig.fields.forEach((fieldConfig, fieldName) => {
             const field = fieldConfig.element;
+
+            // Hidden conditional fields are left out of the payload
+            if (this.isFieldHidden(fieldConfig)) return;
             
             if (field.type === 'checkbox') {
                 data[fieldName] = field.checked;
@@ -333,68 +1124,241 @@ class FormController {
                 if (field.checked) {
                     data[fieldName] = field.value;
                 }
+            } else if (field.type === 'select-multiple') {
+                data[fieldName] = Array.from(field.selectedOptions).map(option => option.value);
+            } else if (field.type === 'file') {
+                const files = Array.from(field.files);
+                data[fieldName] = field.multiple ? files : (files[0] || null);
             } else {
                 data[fieldName] = field.value;
             }
         });
 
-        return data;
+        return data;
+    }
+
+    // Resolves where and how a form is sent: data-* attributes win over the endpoint registry.
+    // The mock transport is only used when asked for (data-transport="mock" or an endpoint's transport)
+    getSubmissionRequest(formType, formConfig) {
+        const form = formConfig.element;
+        const endpoint = this.endpoints.get(formType) || {};
+        const url = form.getAttribute('data-action') || endpoint.url || null;
+
+        return {
+            url,
+            method: form.getAttribute('data-method') || endpoint.method || 'POST',
+            encoding: form.getAttribute('data-encoding') || endpoint.encoding || 'json',
+            timeout: parseInt(form.getAttribute('data-timeout')) || endpoint.timeout,
+            headers: endpoint.headers,
+            transport: form.getAttribute('data-transport') || endpoint.transport || 'http',
+            uploadUrl: form.getAttribute('data-upload-action') || endpoint.uploadUrl || null,
+            chunkSize: parseInt(form.getAttribute('data-chunk-size')) || endpoint.chunkSize
+        };
+    }
+
+    submitForm(formType, formData, formConfig) {
+        const formId = formConfig.element.id;
+        const request = this.getSubmissionRequest(formType, formConfig);
+        const transport = this.transports.get(request.transport);
+
+        // Fail before uploading anything or queueing it in the outbox
+        let configError = null;
+        if (!transport) {
+            configError = `Unknown submission transport: ${request.transport}`;
+        } else if (request.transport === 'http' && !request.url) {
+            configError = `No submission endpoint configured for "${formId}": add data-action or registerEndpoint('${formType}', ...)`;
+        }
+
+        if (configError) {
+            console.error(configError);
+            this.setFormLoading(formConfig, false);
+            this.handleSubmissionError(formConfig, new SubmissionError(configError, { code: 'config' }));
+            return Promise.resolve();
+        }
+
+        const controller = new AbortController();
+        const idempotencyKey = this.createIdempotencyKey();
+        const headers = { ...request.headers, 'Idempotency-Key': idempotencyKey };
+        let data = formData;
+        this.activeSubmissions.set(formId, controller);
+
+        return this.uploadFiles(formConfig, formData, request, transport, controller.signal)
+            .then((uploaded) => this.addProofOfWork(formConfig, uploaded))
+            .then((prepared) => {
+                data = prepared;
+                return transport.send({ ...request, headers, formType, data, signal: controller.signal });
+            })
+            .then((response) => {
+                this.handleSubmissionSuccess(formConfig, {
+                    ...response,
+                    message: response.message || this.getSuccessMessage(formType)
+                });
+            })
+            .catch((error) => {
+                // Keep the intent when the connection is the problem; the outbox solves its own tokens
+                const { _proofOfWork, ...queued } = data;
+                const entry = SubmissionOutbox.isRetryable(error) && this.outbox.enqueue({
+                    idempotencyKey,
+                    formId,
+                    formType,
+                    request,
+                    data: queued,
+                    proofOfWork: _proofOfWork ? this.getProofOfWorkSettings(formConfig) : null,
+                    sensitive: this.hasSensitiveValues(formConfig, queued)
+                });
+
+                if (entry) {
+                    this.handleSubmissionQueued(formConfig, entry);
+                } else {
+                    this.handleSubmissionError(formConfig, error);
+                }
+            })
+            .finally(() => {
+                this.activeSubmissions.delete(formId);
+                this.setFormLoading(formConfig, false);
+            });
+    }
+
+    // Files go up first in resumable chunks and the submission carries references to them;
+    // multipart submissions send the files inline instead
+    async uploadFiles(formConfig, data, request, transport, signal) {
+        if (request.encoding === 'multipart') return data;
+
+        const result = { ...data };
+
+        for (const [fieldName, fieldConfig] of formConfig.fields) {
+            const value = data[fieldName];
+            const files = (Array.isArray(value) ? value : [value]).filter(item => item instanceof File);
+            if (!files.length) continue;
+
+            if (!transport.uploadFile) {
+                throw new SubmissionError(`The ${request.transport} transport cannot upload files.`, { code: 'config' });
+            }
+
+            const references = [];
+
+            for (const file of files) {
+                references.push(await transport.uploadFile(file, {
+                    url: request.uploadUrl,
+                    chunkSize: request.chunkSize,
+                    headers: request.headers,
+                    signal,
+                    onProgress: (loaded, total) => {
+                        if (fieldConfig.dropZone) {
+                            fieldConfig.dropZone.setProgress(file, total ? loaded / total : 1);
+                        }
+                    }
+                }));
+            }
+
+            result[fieldName] = Array.isArray(value) ? references : references[0];
+        }
+
+        return result;
+    }
+
+    // data-proof-of-work="14" makes every submission cost a little CPU time; add
+    // data-proof-of-work-url="/api/challenge" to solve server-issued challenges (see SpamGuard)
+    getProofOfWorkSettings(formConfig) {
+        const form = formConfig.element;
+        const difficulty = parseInt(form.getAttribute('data-proof-of-work'), 10);
+
+        return difficulty ? { difficulty, challengeUrl: form.getAttribute('data-proof-of-work-url') } : null;
+    }
+
+    prepareProofOfWork(formConfig) {
+        const settings = this.getProofOfWorkSettings(formConfig);
+        if (!settings || formConfig.proofOfWork) return;
+
+        const proofOfWork = this.spamGuard.createProofOfWork(formConfig.element.id, settings.difficulty, {
+            challengeUrl: settings.challengeUrl
+        });
+        formConfig.proofOfWork = proofOfWork;
+
+        // Nobody may be waiting for it yet; a failed attempt is dropped so the next submit starts over
+        proofOfWork.catch(error => {
+            console.warn('Failed to prepare the proof of work:', error);
+            if (formConfig.proofOfWork === proofOfWork) {
+                formConfig.proofOfWork = null;
+            }
+        });
+    }
+
+    async addProofOfWork(formConfig, data) {
+        try {
+            let token = await this.takeProofOfWork(formConfig);
+
+            // Solved when the visitor started typing, which may be too long ago for the server
+            if (token && token.expiresAt && token.expiresAt - Date.now() < 30 * 1000) {
+                token = await this.takeProofOfWork(formConfig);
+            }
+
+            if (!token) return data;
+
+            const { expiresAt, ...proofOfWork } = token;
+            return { ...data, _proofOfWork: proofOfWork };
+        } catch (error) {
+            // Without Web Crypto (plain http) no token can be made in this browser at all
+            throw new SubmissionError(error.message, {
+                code: this.spamGuard.isProofOfWorkSupported() ? 'server' : 'proofOfWork'
+            });
+        }
+    }
+
+    // Each token is spent on one submission
+    takeProofOfWork(formConfig) {
+        this.prepareProofOfWork(formConfig);
+
+        const proofOfWork = formConfig.proofOfWork;
+        formConfig.proofOfWork = null;
+        return proofOfWork || Promise.resolve(null);
     }
 
-    submitForm(formType, formData, formConfig) {
-        // Simulate API submission
-        const submissionPromise = this.simulateSubmission(formType, formData);
+    // Honeypot hits get a fake success so bots learn nothing; people are told what to do
+    handleSpamRejection(formConfig, check) {
+        const formType = formConfig.element.getAttribute('data-form-type') || 'contact';
+        this.trackEvent('spam_rejected', { formId: formConfig.element.id, check });
 
-        submissionPromise
-            .then((response) => {
-                this.handleSubmissionSuccess(formConfig, response);
-            })
-            .catch((error) => {
-                this.handleSubmissionError(formConfig, error);
-            })
-            .finally(() => {
-                this.setFormLoading(formConfig, false);
-            });
+        if (check === 'honeypot') {
+            this.resetForm(formConfig);
+            this.showNotification(this.getSuccessMessage(formType), 'success');
+            return;
+        }
+
+        const key = `spam.${check}`;
+        this.showFormError(this.t(window.i18n.has(key) ? key : 'spam.rejected'));
     }
 
-    simulateSubmission(formType, formData) {
-        return new Promise((resolve, reject) => {
-            // Simulate network delay
-            const delay = Math.random() * 2000 + 1000;
-            
-            setTimeout(() => {
-                // Simulate success/failure (90% success rate)
-                if (Math.random() > 0.1) {
-                    resolve({
-                        success: true,
-                        message: this.getSuccessMessage(formType),
-                        data: formData
-                    });
-                } else {
-                    reject({
-                        success: false,
-                        message: 'Submission failed. Please try again.',
-                        error: 'Network error'
-                    });
-                }
-            }, delay);
-        });
+    createIdempotencyKey() {
+        if (window.crypto && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
     }
 
     getSuccessMessage(formType) {
-        const messages = {
-            contact: 'Thank you for your message! We\'ll get back to you within 24 hours.',
-            newsletter: 'Successfully subscribed to our newsletter!',
-            investor: 'Your investor inquiry has been received. Our team will contact you soon.',
-            partnership: 'Thank you for your partnership interest. We\'ll review your proposal.',
-            career: 'Your application has been submitted successfully.',
-            support: 'Your support request has been received. We\'ll assist you shortly.'
-        };
+        const key = `form.success.${formType}`;
+        return this.t(window.i18n.has(key) ? key : 'form.success.default');
+    }
 
-        return messages[formType] || 'Form submitted successfully!';
+    // Our own error texts are translated; messages sent by the server are shown as-is
+    getSubmissionErrorMessage(error) {
+        if (['network', 'timeout', 'config', 'proofOfWork'].includes(error.code)) {
+            return this.t(`submission.${error.code}`);
+        }
+
+        const message = error.response && error.response.message;
+        if (typeof message === 'string' && message) return message;
+
+        return error.status ? this.t('submission.status', { status: error.status }) : this.t('submission.failed');
     }
 
     handleSubmissionSuccess(formConfig, response) {
+        formConfig.submitted = true;
+        this.spamGuard.recordSubmission(formConfig.element.id);
+        this.discardDraft(formConfig);
+
         // Show success notification
         this.showNotification(response.message, 'success');
 
@@ -405,14 +1369,110 @@ class FormController {
         this.animateFormSuccess(formConfig);
     }
 
+    handleSubmissionQueued(formConfig, entry) {
+        formConfig.submitted = true;
+        this.showNotification(
+            this.t(navigator.onLine ? 'submission.queuedOnline' : 'submission.queuedOffline'),
+            'warning'
+        );
+
+        this.trackEvent('submission_queued', { formId: entry.formId, formType: entry.formType });
+        this.spamGuard.recordSubmission(entry.formId);
+        this.discardDraft(formConfig);
+        this.resetForm(formConfig);
+        this.updateOutboxStatus(entry.formId);
+    }
+
+    handleOutboxChange(status, entry, detail) {
+        switch (status) {
+            case 'delivered':
+                this.showNotification(this.getSuccessMessage(entry.formType), 'success', {
+                    title: this.t('outbox.delivered')
+                });
+                this.trackEvent('submission_delivered', { formId: entry.formId, attempts: entry.attempts });
+                break;
+            case 'failed':
+                this.showNotification(this.t('outbox.failed', { reason: this.getSubmissionErrorMessage(detail) }), 'error');
+                break;
+            case 'expired':
+                this.showNotification(this.t('outbox.expired'), 'warning');
+                break;
+        }
+
+        this.updateOutboxStatus(entry.formId);
+    }
+
+    // Shows how many submissions of this form are still waiting in the outbox
+    updateOutboxStatus(formId) {
+        const form = document.getElementById(formId);
+        if (!this.outbox || !form) return;
+
+        const pending = this.outbox.getPending(formId).length;
+        let status = form.querySelector('.form-outbox-status');
+
+        if (!pending) {
+            if (status) status.hidden = true;
+            return;
+        }
+
+        if (!status) {
+            status = document.createElement('div');
+            status.className = 'form-outbox-status';
+            status.setAttribute('role', 'status');
+            status.innerHTML = `
+                <i class="fas fa-cloud-upload-alt" aria-hidden="true"></i>
+                <span class="form-outbox-text"></span>
+                <button type="button" class="form-outbox-retry"></button>
+            `;
+            status.querySelector('.form-outbox-retry').addEventListener('click', () => {
+                this.outbox.flush({ force: true });
+            });
+            form.appendChild(status);
+        }
+
+        status.querySelector('.form-outbox-text').textContent = this.t('outbox.pending', { count: pending });
+        status.querySelector('.form-outbox-retry').textContent = this.t('outbox.sendNow');
+        status.hidden = false;
+    }
+
     handleSubmissionError(formConfig, error) {
-        // Show error notification
-        this.showNotification(error.message, 'error');
+        // Cancelled on purpose, nothing to report
+        if (error.code === 'aborted') return;
+
+        // Map server-side field errors back onto the fields
+        const fieldErrors = error.fieldErrors || {};
+        if (Object.keys(fieldErrors).length) {
+            this.showFieldErrors(formConfig, fieldErrors);
+        }
+
+        // Show error notification with a retry action, unless retrying cannot change the outcome
+        const canRetry = !['config', 'proofOfWork'].includes(error.code);
+        this.showNotification(this.getSubmissionErrorMessage(error), 'error', canRetry ? {
+            actions: [{
+                label: this.t('submission.retry'),
+                onClick: () => this.handleFormSubmission(formConfig.element.id)
+            }]
+        } : {});
 
         // Shake form for visual feedback
         this.animateFormError(formConfig);
     }
 
+    showFieldErrors(formConfig, fieldErrors) {
+        Object.keys(fieldErrors).forEach(fieldName => {
+            const fieldConfig = formConfig.fields.get(fieldName);
+            if (!fieldConfig) return;
+
+            fieldConfig.isValid = false;
+            fieldConfig.serverError = true;
+            this.updateFieldUI(fieldConfig, false, fieldErrors[fieldName]);
+        });
+
+        this.updateFormValidity(formConfig);
+        this.renderErrorSummary(formConfig);
+        this.focusErrorSummary(formConfig);
+    }
+
     setFormLoading(formConfig, isLoading) {
         const submitButton = formConfig.element.querySelector('button[type="submit"]');
         
@@ -429,6 +1489,10 @@ class FormController {
         // Disable all form fields during submission
         formConfig.fields.forEach(fieldConfig => {
             fieldConfig.element.disabled = isLoading;
+
+            if (fieldConfig.dropZone) {
+                fieldConfig.dropZone.setDisabled(isLoading);
+            }
         });
     }
 
@@ -437,6 +1501,9 @@ class FormController {
         
         // Clear validation states
         formConfig.fields.forEach(fieldConfig => {
+            this.cancelAsyncValidation(fieldConfig);
+            fieldConfig.asyncResult = null;
+
             const formGroup = fieldConfig.element.closest('.form-group');
             if (formGroup) {
                 formGroup.classList.remove('error', 'valid');
@@ -448,98 +1515,142 @@ class FormController {
             }
             
             fieldConfig.element.style.borderColor = '';
+            fieldConfig.element.removeAttribute('aria-invalid');
+            fieldConfig.errorMessage = '';
             fieldConfig.isValid = false;
         });
 
+        this.clearErrorSummary(formConfig);
+
         formConfig.isValid = false;
+        formConfig.startedAt = null;
+        formConfig.draftRestored = false;
+
+        if (formConfig.wizard) {
+            this.goToStep(formConfig, 0, { focus: false, save: false });
+        }
     }
 
-    focusFirstError(formConfig) {
-        const firstErrorField = Array.from(formConfig.fields.values())
-            .find(fieldConfig => !fieldConfig.isValid);
+    getFieldLabel(fieldConfig) {
+        const field = fieldConfig.element;
+        const label = field.id && field.form && field.form.querySelector(`label[for="${field.id}"]`);
 
-        if (firstErrorField) {
-            firstErrorField.element.focus();
-            firstErrorField.element.scrollIntoView({
-                behavior: 'smooth',
-                block: 'center'
+        return label ? label.textContent.replace('*', '').trim() : (field.name || field.id);
+    }
+
+    // Lists every current error at the top of the form, each linking to its field
+    renderErrorSummary(formConfig) {
+        const form = formConfig.element;
+        const errors = Array.from(formConfig.fields.values())
+            .filter(fieldConfig => !fieldConfig.isValid && fieldConfig.errorMessage && !this.isFieldHidden(fieldConfig));
+
+        if (!errors.length) {
+            this.clearErrorSummary(formConfig);
+            return;
+        }
+
+        let summary = form.querySelector('.form-error-summary');
+        if (!summary) {
+            const titleId = `${form.id}-error-summary-title`;
+
+            summary = document.createElement('div');
+            summary.className = 'form-error-summary';
+            summary.tabIndex = -1;
+            summary.setAttribute('role', 'group');
+            summary.setAttribute('aria-labelledby', titleId);
+            summary.innerHTML = `<h3 class="form-error-summary-title" id="${titleId}"></h3><ul></ul>`;
+            summary.querySelector('.form-error-summary-title').textContent = this.t('form.errorSummaryTitle');
+
+            // The links only move focus; following the hash would send the router to an unknown page
+            summary.addEventListener('click', (e) => {
+                const link = e.target.closest('a[data-field]');
+                if (!link) return;
+
+                e.preventDefault();
+                const fieldConfig = formConfig.fields.get(link.getAttribute('data-field'));
+                if (fieldConfig) {
+                    this.focusField(formConfig, fieldConfig);
+                }
             });
+
+            form.insertBefore(summary, form.firstChild);
         }
+
+        const list = summary.querySelector('ul');
+        list.innerHTML = '';
+        errors.forEach(fieldConfig => {
+            const field = fieldConfig.element;
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+
+            link.href = `#${field.id}`;
+            link.setAttribute('data-field', field.name || field.id);
+            link.textContent = `${this.getFieldLabel(fieldConfig)}: ${fieldConfig.errorMessage}`;
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+
+        summary.hidden = false;
     }
 
-    showFormError(message) {
-        this.showNotification(message, 'error');
+    clearErrorSummary(formConfig) {
+        const summary = formConfig.element.querySelector('.form-error-summary');
+        if (summary) {
+            summary.hidden = true;
+        }
     }
 
-    showNotification(message, type = 'info') {
-        // Remove existing notifications
-        const existingNotifications = document.querySelectorAll('.notification');
-        existingNotifications.forEach(notification => {
-            notification.remove();
-        });
+    // Focus lands on the summary so it is read out first; the links lead on to the fields
+    focusErrorSummary(formConfig) {
+        const summary = formConfig.element.querySelector('.form-error-summary');
 
-        const notification = document.createElement('div');
-        notification.className = `notification notification-${type}`;
-        
-        const icons = {
-            success: 'fas fa-check-circle',
-            error: 'fas fa-exclamation-circle',
-            warning: 'fas fa-exclamation-triangle',
-            info: 'fas fa-info-circle'
-        };
+        if (!summary || summary.hidden) {
+            this.focusFirstError(formConfig);
+            return;
+        }
 
-        notification.innerHTML = `
-            <div class="notification-content">
-                <i class="${icons[type]}"></i>
-                <span class="notification-message">${message}</span>
-                <button class="notification-close" aria-label="Close notification">
-                    <i class="fas fa-times"></i>
-                </button>
-            </div>
-        `;
+        const count = summary.querySelectorAll('li').length;
 
-        // Add styles
-        notification.style.cssText = `
-            position: fixed;
-            top: 100px;
-            right: 20px;
-            background: white;
-            border-radius: 8px;
-            box-shadow: 0 10px 30px rgba(0,0,0,0.2);
-            padding: 1rem 1.5rem;
-            z-index: 10000;
-            transform: translateX(400px);
-            transition: transform 0.3s ease;
-            max-width: 400px;
-            border-left: 4px solid var(--${type === 'error' ? 'error' : type === 'success' ? 'success' : type === 'warning' ? 'warning' : 'primary'}-color);
-        `;
+        summary.focus({ preventScroll: true });
+        summary.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        this.announceToScreenReader(this.t('form.errorCount', { count }));
+    }
 
-        document.body.appendChild(notification);
+    focusFirstError(formConfig) {
+        const firstErrorField = Array.from(formConfig.fields.values())
+            .find(fieldConfig => !fieldConfig.isValid);
 
-        // Animate in
-        requestAnimationFrame(() => {
-            notification.style.transform = 'translateX(0)';
-        });
+        if (firstErrorField) {
+            this.focusField(formConfig, firstErrorField);
+        }
+    }
 
-        // Auto remove
-        setTimeout(() => {
-            this.removeNotification(notification);
-        }, 5000);
+    focusField(formConfig, fieldConfig) {
+        // Bring the step holding the field into view first
+        if (formConfig.wizard) {
+            const stepIndex = formConfig.wizard.steps.findIndex(step => step.contains(fieldConfig.element));
+            if (stepIndex !== -1 && stepIndex !== formConfig.wizard.current) {
+                this.goToStep(formConfig, stepIndex, { focus: false });
+            }
+        }
 
-        // Close button
-        const closeBtn = notification.querySelector('.notification-close');
-        closeBtn.addEventListener('click', () => {
-            this.removeNotification(notification);
+        fieldConfig.element.focus();
+        fieldConfig.element.scrollIntoView({
+            behavior: 'smooth',
+            block: 'center'
         });
     }
 
-    removeNotification(notification) {
-        notification.style.transform = 'translateX(400px)';
-        setTimeout(() => {
-            if (notification.parentNode) {
-                notification.parentNode.removeChild(notification);
-            }
-        }, 300);
+    announceFieldError(fieldConfig) {
+        this.announceToScreenReader(`${this.getFieldLabel(fieldConfig)}: ${fieldConfig.errorMessage}`);
+    }
+
+    showFormError(message) {
+        this.showNotification(message, 'error');
+    }
+
+    showNotification(message, type = 'info', options = {}) {
+        return window.notificationCenter.show(message, { ...options, type });
     }
 
     animateFormSuccess(formConfig) {
@@ -574,76 +1685,236 @@ class FormController {
         
         // Accessibility enhancements
         this.setupAccessibilityFeatures();
+
+        // Confirm before leaving a page with a half-filled form
+        this.setupNavigationGuards();
     }
 
-    setupAutoSave() {
-        const autoSaveForms = document.querySelectorAll('[data-auto-save]');
-        
-        autoSaveForms.forEach(form => {
-            const formId = form.id;
-            const saveKey = `form-autosave-${formId}`;
-            
-            // Load saved data
-            this.loadAutoSavedData(form, saveKey);
-            
-            // Save on input
-            form.addEventListener('input', () => {
-                this.debounce(() => {
-                    this.saveFormData(form, saveKey);
-                }, 1000)();
-            });
-            
-            // Clear on successful submission
-            form.addEventListener('submit', () => {
-                localStorage.removeItem(saveKey);
+    setupNavigationGuards() {
+        const router = window.absNovacell && window.absNovacell.router;
+        if (!router) return;
+
+        this.forms.forEach(formConfig => {
+            const form = formConfig.element;
+            const page = form.closest('.page');
+
+            if (!page || !form.hasAttribute('data-confirm-leave')) return;
+
+            router.beforeLeave(page.id, () => {
+                if (!this.isFormDirty(formConfig)) return true;
+
+                return Modal.confirm(this.t('form.leaveConfirm'));
             });
         });
     }
 
-    loadAutoSavedData(form, saveKey) {
-        try {
-            const savedData = localStorage.getItem(saveKey);
-            if (savedData) {
-                const data = JSON.parse(savedData);
-                
-                Object.keys(data).forEach(fieldName => {
-                    const field = form.querySelector(`[name="${fieldName}"]`);
-                    if (field && data[fieldName]) {
-                        if (field.type === 'checkbox') {
-                            field.checked = data[fieldName];
-                        } else {
-                            field.value = data[fieldName];
-                        }
-                    }
-                });
-                
-                // Show auto-save indicator
-                this.showAutoSaveIndicator(form);
+    isFormDirty(formConfig) {
+        return Array.from(formConfig.fields.values()).some(fieldConfig => {
+            const field = fieldConfig.element;
+
+            if (field.type === 'checkbox' || field.type === 'radio') {
+                return field.checked !== field.defaultChecked;
+            }
+
+            return field.value !== (field.defaultValue || '') &&
+                !(field.tagName === 'SELECT' && field.selectedIndex === 0);
+        });
+    }
+
+    setupAutoSave() {
+        this.drafts = new DraftStore();
+
+        this.forms.forEach(formConfig => {
+            const form = formConfig.element;
+            if (!form.hasAttribute('data-auto-save')) return;
+
+            // One debounced writer per form, so a draft is saved once typing pauses
+            formConfig.saveDraft = this.debounce(() => this.saveFormData(formConfig), 1000);
+            form.addEventListener('input', () => formConfig.saveDraft());
+            form.addEventListener('change', () => formConfig.saveDraft());
+
+            this.offerDraftRestore(formConfig);
+        });
+    }
+
+    // data-auto-save="encrypt" encrypts drafts; data-auto-save-ttl="12h" shortens their lifetime
+    getDraftOptions(form) {
+        return {
+            encrypt: form.getAttribute('data-auto-save') === 'encrypt',
+            ttl: DraftStore.parseDuration(form.getAttribute('data-auto-save-ttl')) || undefined
+        };
+    }
+
+    // Values that drafts leave out are kept out of the stored outbox as well
+    hasSensitiveValues(formConfig, data) {
+        return Array.from(formConfig.element.elements).some(control =>
+            control.name && (control.type === 'password' || control.closest('[data-no-autosave]')) &&
+            !['', null, undefined, false].includes(data[control.name])
+        );
+    }
+
+    // Passwords, files, the honeypot and anything inside [data-no-autosave] never reach storage
+    isDraftable(control) {
+        return Boolean(control.name) &&
+            !['file', 'password', 'submit', 'button', 'reset'].includes(control.type) &&
+            !control.hasAttribute('data-honeypot') &&
+            !control.closest('[data-no-autosave]');
+    }
+
+    collectDraft(formConfig) {
+        const fields = {};
+
+        Array.from(formConfig.element.elements).forEach(control => {
+            if (!this.isDraftable(control)) return;
+
+            if (control.type === 'checkbox') {
+                fields[control.name] = control.checked;
+            } else if (control.type === 'radio') {
+                if (control.checked) fields[control.name] = control.value;
+            } else if (control.type === 'select-multiple') {
+                fields[control.name] = Array.from(control.selectedOptions, option => option.value);
+            } else {
+                fields[control.name] = control.value;
             }
-        } catch (e) {
-            console.warn('Failed to load auto-saved data:', e);
+        });
+
+        return { fields, wizardStep: formConfig.wizard ? formConfig.wizard.current : null };
+    }
+
+    saveFormData(formConfig) {
+        const form = formConfig.element;
+
+        // Leave the stored draft alone while it is read and until the visitor has answered the restore prompt
+        if (!this.drafts || formConfig.draftLoading || formConfig.draftPrompt) return;
+
+        if (!this.isFormDirty(formConfig)) {
+            this.drafts.remove(form.id);
+            return;
         }
+
+        // Without a working key an encrypted form is not saved at all rather than saved in plain text
+        this.drafts.save(form.id, this.collectDraft(formConfig), this.getDraftOptions(form)).catch(e => {
+            console.warn('Failed to auto-save form data:', e);
+        });
     }
 
-    saveFormData(form, saveKey) {
-        const formData = new FormData(form);
-        const data = {};
-        
-        for (const [key, value] of formData.entries()) {
-            data[key] = value;
+    discardDraft(formConfig) {
+        if (this.drafts) {
+            this.drafts.remove(formConfig.element.id);
         }
-        
+    }
+
+    async offerDraftRestore(formConfig) {
+        const form = formConfig.element;
+
+        formConfig.draftLoading = true;
+        let draft;
         try {
-            localStorage.setItem(saveKey, JSON.stringify(data));
-        } catch (e) {
-            console.warn('Failed to auto-save form data:', e);
+            draft = await this.drafts.load(form.id);
+        } finally {
+            formConfig.draftLoading = false;
+        }
+
+        // Nothing to offer: keep whatever was typed while the draft was being read
+        if (!draft) {
+            this.saveFormData(formConfig);
+            return;
+        }
+
+        const prompt = document.createElement('div');
+        prompt.className = 'draft-prompt';
+        prompt.setAttribute('role', 'status');
+        prompt.innerHTML = `
+            <i class="fas fa-history" aria-hidden="true"></i>
+            <span class="draft-prompt-text"></span>
+            <div class="draft-prompt-actions">
+                <button type="button" class="btn btn-primary draft-restore"></button>
+                <button type="button" class="btn btn-secondary draft-discard"></button>
+            </div>
+        `;
+
+        const close = () => {
+            prompt.remove();
+            formConfig.draftPrompt = null;
+        };
+
+        prompt.querySelector('.draft-restore').addEventListener('click', () => {
+            close();
+            this.restoreDraft(formConfig, draft.data);
+        });
+
+        prompt.querySelector('.draft-discard').addEventListener('click', () => {
+            close();
+            this.discardDraft(formConfig);
+            this.saveFormData(formConfig);
+        });
+
+        formConfig.draftPrompt = { element: prompt, savedAt: draft.savedAt };
+        this.renderDraftPrompt(formConfig);
+        form.insertBefore(prompt, form.firstChild);
+    }
+
+    renderDraftPrompt(formConfig) {
+        const { element, savedAt } = formConfig.draftPrompt;
+        const date = window.localeFormatter.formatDate(new Date(savedAt), { dateStyle: 'medium', timeStyle: 'short' });
+
+        element.querySelector('.draft-prompt-text').textContent = this.t('draft.found', { date });
+        element.querySelector('.draft-restore').textContent = this.t('draft.restore');
+        element.querySelector('.draft-discard').textContent = this.t('draft.discard');
+    }
+
+    restoreDraft(formConfig, { fields, wizardStep }) {
+        const form = formConfig.element;
+
+        Object.keys(fields).forEach(name => {
+            const control = form.elements.namedItem(name);
+            const value = fields[name];
+
+            if (!control) return;
+
+            // Radio groups come back as a RadioNodeList
+            if (control instanceof RadioNodeList) {
+                control.value = value;
+                return;
+            }
+
+            if (!this.isDraftable(control)) return;
+
+            if (control.type === 'checkbox') {
+                control.checked = Boolean(value);
+            } else if (control.type === 'select-multiple') {
+                Array.from(control.options).forEach(option => {
+                    option.selected = [].concat(value).includes(option.value);
+                });
+            } else {
+                control.value = value;
+            }
+        });
+
+        this.applyConditions(formConfig);
+
+        // Check what came back so stale values are flagged straight away
+        formConfig.fields.forEach((fieldConfig, fieldName) => {
+            if (this.hasValue(this.getControlValue(form, fieldName))) {
+                this.validateField(formConfig, fieldConfig);
+            }
+        });
+
+        // Return to the step the visitor was on
+        if (formConfig.wizard && wizardStep) {
+            this.goToStep(formConfig, wizardStep, { focus: false, save: false });
         }
+
+        formConfig.draftRestored = true;
+        this.showAutoSaveIndicator(form);
+        this.announceToScreenReader(this.t('draft.restored'));
     }
 
     showAutoSaveIndicator(form) {
         const indicator = document.createElement('div');
         indicator.className = 'auto-save-indicator';
-        indicator.innerHTML = '<i class="fas fa-save"></i> Form data restored';
+        indicator.innerHTML = '<i class="fas fa-save" aria-hidden="true"></i> ';
+        indicator.append(this.t('draft.restored'));
         indicator.style.cssText = `
             position: absolute;
             top: -40px;
@@ -679,10 +1950,14 @@ class FormController {
         this.forms.forEach((formConfig, formId) => {
             const form = formConfig.element;
             
-            // Track form start
+            // Track form start; the time-to-fill spam check measures from here
             form.addEventListener('focusin', () => {
-                this.trackEvent('form_start', { formId });
-            }, { once: true });
+                if (formConfig.startedAt) return;
+
+                formConfig.startedAt = Date.now();
+                formConfig.submitted = false;
+                this.trackEvent('form_start', { formId, startedAt: formConfig.startedAt });
+            });
             
             // Track field completion
             formConfig.fields.forEach((fieldConfig, fieldName) => {
@@ -693,12 +1968,9 @@ class FormController {
                 });
             });
             
-            // Track form abandonment
+            // Track form abandonment; runs before the analytics bus flushes on pagehide
             window.addEventListener('beforeunload', () => {
-                const hasData = Array.from(formConfig.fields.values())
-                    .some(fieldConfig => fieldConfig.element.value);
-                
-                if (hasData && !formConfig.submitted) {
+                if (this.isFormDirty(formConfig) && !formConfig.submitted) {
                     this.trackEvent('form_abandon', { formId });
                 }
             });
@@ -706,21 +1978,10 @@ class FormController {
     }
 
     trackEvent(eventName, data) {
-        // Placeholder for analytics tracking
-        console.log(`Analytics: ${eventName}`, data);
-        
-        // In a real implementation, you would send this to your analytics service
-        // Example: gtag('event', eventName, data);
+        window.analytics.track(eventName, data);
     }
 
     setupAccessibilityFeatures() {
-        // Enhanced keyboard navigation
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Tab') {
-                this.handleTabNavigation(e);
-            }
-        });
-
         // Screen reader announcements
         this.setupScreenReaderAnnouncements();
         
@@ -728,49 +1989,27 @@ class FormController {
         this.setupHighContrastMode();
     }
 
-    handleTabNavigation(e) {
-        const focusableElements = document.querySelectorAll(
-            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-        );
-        
-        const focusedElement = document.activeElement;
-        const focusedIndex = Array.from(focusableElements).indexOf(focusedElement);
-        
-        // Add visual focus indicators
-        focusableElements.forEach(element => {
-            element.addEventListener('focus', () => {
-                element.style.outline = '2px solid var(--primary-color)';
-                element.style.outlineOffset = '2px';
-            });
-            
-            element.addEventListener('blur', () => {
-                element.style.outline = '';
-                element.style.outlineOffset = '';
-            });
-        });
-    }
-
     setupScreenReaderAnnouncements() {
         // Create live region for announcements
         const liveRegion = document.createElement('div');
+        liveRegion.className = 'sr-only';
+        liveRegion.setAttribute('role', 'status');
         liveRegion.setAttribute('aria-live', 'polite');
         liveRegion.setAttribute('aria-atomic', 'true');
-        liveRegion.style.cssText = `
-            position: absolute;
-            left: -10000px;
-            width: 1px;
-            height: 1px;
-            overflow: hidden;
-        `;
         document.body.appendChild(liveRegion);
 
         this.liveRegion = liveRegion;
     }
 
     announceToScreenReader(message) {
-        if (this.liveRegion) {
+        if (!this.liveRegion) return;
+
+        // Clear first so repeating the same message is still announced
+        this.liveRegion.textContent = '';
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => {
             this.liveRegion.textContent = message;
-        }
+        }, 100);
     }
 
     setupHighContrastMode() {
@@ -806,13 +2045,14 @@ class FormController {
     }
 
     // Public API methods
+    // Synchronous check; a field whose async validators are still running counts as invalid
     validateForm(formId) {
         const formConfig = this.forms.get(formId);
         if (!formConfig) return false;
 
         let isValid = true;
         formConfig.fields.forEach(fieldConfig => {
-            if (!this.validateField(formConfig, fieldConfig)) {
+            if (!this.validateField(formConfig, fieldConfig, { immediate: true })) {
                 isValid = false;
             }
         });
@@ -820,6 +2060,15 @@ class FormController {
         return isValid;
     }
 
+    // Resolves to the form's validity once any async checks have settled
+    validateFormAsync(formId) {
+        const formConfig = this.forms.get(formId);
+        if (!formConfig) return Promise.resolve(false);
+
+        this.validateForm(formId);
+        return this.waitForValidation(formConfig);
+    }
+
     getFormValues(formId) {
         const formConfig = this.forms.get(formId);
         if (!formConfig) return null;
@@ -838,8 +2087,51 @@ class FormController {
         }
     }
 
-    addCustomValidator(name, validatorFn) {
+    // Validators receive (value, param, { field, form }) and return a boolean; async ones
+    // also get a signal in the third argument and resolve to a boolean:
+    // addCustomValidator('notSubscribed', checkSubscription, { async: true, debounce: 500 })
+    addCustomValidator(name, validatorFn, options = {}) {
         this.validators.set(name, validatorFn);
+
+        if (options.async) {
+            this.asyncValidators.set(name, { debounce: options.debounce !== undefined ? options.debounce : 400 });
+        } else {
+            this.asyncValidators.delete(name);
+        }
+    }
+
+    // e.g. registerEndpoint('contact', { url: '/api/contact', encoding: 'multipart', timeout: 10000 })
+    registerEndpoint(formType, endpoint) {
+        this.endpoints.set(formType, endpoint);
+    }
+
+    // e.g. addFormRule('contact-form', { type: 'match', fields: ['email', 'confirm-email'], message: '...' })
+    addFormRule(formId, rule) {
+        const formConfig = this.forms.get(formId);
+        if (formConfig) {
+            this.addRule(formConfig, rule);
+        }
+    }
+
+    addCrossFieldValidator(name, validatorFn) {
+        this.crossFieldValidators.set(name, validatorFn);
+    }
+
+    // Checks receive { formId, form, startedAt, draftRestored } and return true to let the submission through:
+    // addSpamCheck('noLinks', ({ form }) => !/https?:\/\//.test(form.elements.message.value))
+    addSpamCheck(name, check) {
+        this.spamGuard.addCheck(name, check);
+    }
+
+    registerTransport(name, transport) {
+        this.transports.set(name, transport);
+    }
+
+    abortSubmission(formId) {
+        const controller = this.activeSubmissions.get(formId);
+        if (controller) {
+            controller.abort();
+        }
     }
 }
 
@@ -0,0 +1,144 @@
+// Document Head Management
+class HeadManager {
+    constructor(options = {}) {
+        this.siteName = options.siteName || 'ABS Novacell Biopharmaceuticals';
+        this.pages = options.pages || {};
+        this.routeMeta = new Map();
+        this.defaults = {
+            title: document.title,
+            description: this.getMetaContent('name', 'description'),
+            image: this.getMetaContent('property', 'og:image')
+        };
+
+        this.init();
+    }
+
+    init() {
+        const router = window.absNovacell && window.absNovacell.router;
+        if (!router) return;
+
+        this.router = router;
+        this.router.afterEnter('*', (to) => this.updateForRoute(to));
+
+        // The landing page does not go through afterEnter
+        this.updateForRoute(this.router.getCurrentRoute());
+
+        // Translated titles arrive with the locale bundle
+        const refresh = () => this.updateForRoute(this.router.getCurrentRoute());
+        window.i18n.ready.then(refresh);
+        window.i18n.onChange(refresh);
+    }
+
+    // Per-page config wins over translations, which win over data-title/data-description on section.page
+    setPageMeta(pageId, meta) {
+        this.pages[pageId] = { ...this.pages[pageId], ...meta };
+    }
+
+    // Routes that describe themselves, e.g. #news/<slug> with the article's title; the resolver
+    // returns the meta for a route, or null to fall back to the page's
+    addRouteMeta(pageId, resolver) {
+        this.routeMeta.set(pageId, resolver);
+    }
+
+    getPageMeta(pageId) {
+        const page = document.getElementById(pageId);
+        const dataset = page ? page.dataset : {};
+        const config = this.pages[pageId] || {};
+
+        const i18n = window.i18n;
+
+        return {
+            title: config.title || (dataset.title && i18n.t(`meta.${pageId}.title`, {}, dataset.title)),
+            description: config.description ||
+                (dataset.description && i18n.t(`meta.${pageId}.description`, {}, dataset.description)),
+            image: config.image || dataset.image,
+            type: config.type || dataset.ogType
+        };
+    }
+
+    // Sections are left out unless the route has meta of its own. In hash mode this is a #fragment
+    // URL that crawlers read as the home page; route meta with a `url` of its own wins (see NewsArticleView).
+    getCanonicalUrl(route, withSection = false) {
+        if (!this.router) return window.location.href;
+
+        const canonical = this.router.createRoute(route.page, withSection ? route.section : null);
+        return new URL(this.router.buildPath(canonical), window.location.href).href;
+    }
+
+    updateForRoute(route) {
+        const resolver = this.routeMeta.get(route.page);
+        const routeMeta = resolver ? resolver(route) : null;
+
+        this.update({
+            ...this.getPageMeta(route.page),
+            ...routeMeta,
+            url: (routeMeta && routeMeta.url) || this.getCanonicalUrl(route, Boolean(routeMeta))
+        });
+    }
+
+    update(meta = {}) {
+        const title = meta.title ? `${meta.title} | ${this.siteName}` : this.defaults.title;
+        const description = meta.description || this.defaults.description;
+        const image = meta.image || this.defaults.image;
+        const url = meta.url || window.location.href;
+
+        document.title = title;
+        this.setMeta('name', 'description', description);
+        this.setLink('canonical', url);
+
+        // Open Graph
+        this.setMeta('property', 'og:title', title);
+        this.setMeta('property', 'og:description', description);
+        this.setMeta('property', 'og:url', url);
+        this.setMeta('property', 'og:type', meta.type || 'website');
+        this.setMeta('property', 'og:site_name', this.siteName);
+        if (image) {
+            this.setMeta('property', 'og:image', new URL(image, window.location.href).href);
+        }
+
+        // Twitter
+        this.setMeta('name', 'twitter:card', image ? 'summary_large_image' : 'summary');
+        this.setMeta('name', 'twitter:title', title);
+        this.setMeta('name', 'twitter:description', description);
+        if (image) {
+            this.setMeta('name', 'twitter:image', new URL(image, window.location.href).href);
+        }
+    }
+
+    getMetaContent(attribute, key) {
+        const meta = document.head.querySelector(`meta[${attribute}="${key}"]`);
+        return meta ? meta.getAttribute('content') : '';
+    }
+
+    setMeta(attribute, key, content) {
+        let meta = document.head.querySelector(`meta[${attribute}="${key}"]`);
+
+        if (!meta) {
+            meta = document.createElement('meta');
+            meta.setAttribute(attribute, key);
+            document.head.appendChild(meta);
+        }
+
+        meta.setAttribute('content', content || '');
+    }
+
+    setLink(rel, href) {
+        let link = document.head.querySelector(`link[rel="${rel}"]`);
+
+        if (!link) {
+            link = document.createElement('link');
+            link.setAttribute('rel', rel);
+            document.head.appendChild(link);
+        }
+
+        link.setAttribute('href', href);
+    }
+}
+
+// Initialize head management after the website (and its router) exists
+document.addEventListener('DOMContentLoaded', () => {
+    window.headManager = new HeadManager();
+});
+
+// Export for use in other modules
+window.HeadManager = HeadManager;
@@ -0,0 +1,836 @@
+// Internationalisation
+const DEFAULT_MESSAGES = {
+    en: {
+        'validation.required': 'This field is required',
+        'validation.email': 'Please enter a valid email address',
+        'validation.phone': 'Please enter a valid phone number',
+        'validation.url': 'Please enter a valid URL',
+        'validation.minLength': {
+            one: 'Minimum length is {count} character',
+            other: 'Minimum length is {count} characters'
+        },
+        'validation.maxLength': {
+            one: 'Maximum length is {count} character',
+            other: 'Maximum length is {count} characters'
+        },
+        'validation.pattern': 'Please match the required format',
+        'validation.invalid': 'Please check this field',
+        'validation.match': 'The values do not match',
+        'validation.atLeastOne': 'Please fill in at least one of these fields',
+        'validation.after': 'This must be later than the start',
+        'validation.accept': 'This file type is not accepted. Allowed: {types}',
+        'validation.maxSize': 'Files must be {size} or smaller',
+        'validation.maxFiles': {
+            one: 'Attach no more than {count} file',
+            other: 'Attach no more than {count} files'
+        },
+
+        'form.errorCount': {
+            one: 'There is {count} error in this form',
+            other: 'There are {count} errors in this form'
+        },
+        'form.errorSummaryTitle': 'Please correct the following:',
+        'form.progress': 'Form progress',
+        'form.step': 'Step {number}',
+        'form.back': 'Back',
+        'form.next': 'Next',
+        'form.checking': 'Checking...',
+        'form.leaveConfirm': 'You have unsaved changes in this form. Leave this page anyway?',
+        'form.honeypot': 'Leave this field empty',
+
+        'form.success.contact': 'Thank you for your message! We\'ll get back to you within 24 hours.',
+        'form.success.newsletter': 'Successfully subscribed to our newsletter!',
+        'form.success.investor': 'Your investor inquiry has been received. Our team will contact you soon.',
+        'form.success.partnership': 'Thank you for your partnership interest. We\'ll review your proposal.',
+        'form.success.career': 'Your application has been submitted successfully.',
+        'form.success.support': 'Your support request has been received. We\'ll assist you shortly.',
+        'form.success.default': 'Form submitted successfully!',
+
+        'submission.retry': 'Retry',
+        'submission.failed': 'Submission failed. Please try again.',
+        'submission.status': 'Submission failed ({status}). Please try again.',
+        'submission.network': 'Network error. Please check your connection and try again.',
+        'submission.timeout': 'The request timed out. Please try again.',
+        'submission.config': 'No submission endpoint configured.',
+        'submission.proofOfWork': 'Your browser could not complete our spam check. Please open this page over https or try another browser.',
+        'submission.queuedOnline': 'We could not reach our server. Your submission has been saved and will be sent automatically.',
+        'submission.queuedOffline': 'You appear to be offline. Your submission has been saved and will be sent once you are back online.',
+
+        'outbox.pending': {
+            one: '{count} submission waiting to be sent',
+            other: '{count} submissions waiting to be sent'
+        },
+        'outbox.sendNow': 'Send now',
+        'outbox.delivered': 'Saved submission delivered',
+        'outbox.failed': 'A saved submission could not be delivered: {reason}',
+        'outbox.expired': 'A saved submission was too old to send and has been discarded.',
+
+        'spam.timing': 'That was quick! Please take a moment to check your details, then send the form again.',
+        'spam.rateLimit': 'You have sent this form several times in the last few minutes. Please wait a little before trying again.',
+        'spam.rejected': 'Your submission could not be sent. Please try again later.',
+
+        'upload.prompt': 'Drop a file here or click to browse',
+        'upload.promptMultiple': 'Drop files here or click to browse',
+        'upload.maxSize': 'Max. {size}',
+        'upload.remove': 'Remove {name}',
+        'upload.progress': 'Uploading {name}',
+
+        'draft.found': 'You have an unsent draft from {date}.',
+        'draft.restore': 'Restore draft',
+        'draft.discard': 'Discard',
+        'draft.restored': 'Form data restored',
+
+        'products.catalogue.unavailable': 'Our product catalogue could not be loaded. Please try again later.',
+        'products.stage.discovery': 'Discovery',
+        'products.stage.preclinical': 'Preclinical',
+        'products.stage.phase-1': 'Phase I',
+        'products.stage.phase-2': 'Phase II',
+        'products.stage.phase-3': 'Phase III',
+        'products.stage.registration': 'Registration',
+        'products.stage.marketed': 'On the market',
+        'products.category.veterinary': 'Veterinary',
+        'products.category.human': 'Human health',
+        'products.category.diagnostic': 'Diagnostics',
+        'products.category.biosimilar': 'Biosimilars',
+        'products.species.cattle': 'Cattle',
+        'products.species.sheep': 'Sheep',
+        'products.species.goats': 'Goats',
+        'products.species.poultry': 'Poultry',
+        'products.species.dogs': 'Dogs',
+        'products.species.cats': 'Cats',
+        'products.species.humans': 'Humans',
+        'products.species.animals': 'Animals',
+        'products.area.infectious-disease': 'Infectious disease',
+        'products.area.oncology': 'Oncology',
+        'products.area.immunology': 'Immunology',
+        'products.area.metabolic': 'Metabolic disorders',
+        'products.area.regenerative-medicine': 'Regenerative medicine',
+        'products.area.cardiovascular': 'Cardiovascular',
+        'products.area.neurology': 'Neurology',
+        'products.area.animal-genetics': 'Animal genetics',
+        'products.facets.category': 'Category',
+        'products.facets.species': 'Species',
+        'products.facets.stage': 'Pipeline stage',
+        'products.facets.area': 'Therapeutic area',
+        'products.pipeline.allAreas': 'All areas',
+        'products.pipeline.unavailable': 'Our development pipeline could not be loaded. Please try again later.',
+        'products.pipeline.completed': 'Completed',
+        'products.pipeline.expected': 'Expected',
+        'news.category.press': 'Press Release',
+        'news.category.research': 'Research',
+        'news.category.partnerships': 'Partnership',
+        'news.category.awards': 'Awards',
+        'news.feed.loading': 'Loading articles…',
+        'news.feed.loaded': {
+            one: '{count} more article loaded',
+            other: '{count} more articles loaded'
+        },
+        'news.feed.end': 'You have reached the end of the news feed',
+        'news.feed.empty': 'There are no articles in this category yet',
+        'news.feed.error': 'Articles could not be loaded. Please try again.',
+        'news.article.readingTime': {
+            one: '{count} min read',
+            other: '{count} min read'
+        },
+        'news.article.notFound': 'This article could not be found',
+        'news.article.backToNews': 'Back to all news',
+        'news.article.linkCopied': 'Link copied to the clipboard',
+        'news.article.copyFailed': 'The link could not be copied',
+        'products.search.results': {
+            one: '{count} product',
+            other: '{count} products'
+        },
+        'products.search.resultsFor': {
+            one: '{count} product matches “{query}”',
+            other: '{count} products match “{query}”'
+        },
+
+        'notifications.region': 'Notifications',
+        'notifications.close': 'Close notification',
+
+        'download.started': 'Downloading {filename}...',
+        'download.complete': 'Download complete: {filename}',
+
+        'modal.confirmTitle': 'Please confirm',
+        'modal.alertTitle': 'Notice',
+        'modal.ok': 'OK',
+        'modal.cancel': 'Cancel',
+
+        'consent.bannerLabel': 'Cookie consent',
+        'consent.bannerText': 'We use cookies to understand how our site is used and to show embedded maps and videos. You can accept all, reject optional cookies or choose per category.',
+        'consent.customize': 'Customize',
+        'consent.rejectAll': 'Reject optional',
+        'consent.acceptAll': 'Accept all',
+        'consent.save': 'Save choices',
+        'consent.preferencesTitle': 'Cookie settings',
+        'consent.preferencesIntro': 'Choose which optional cookies and third-party content you allow. You can change this at any time from the footer.',
+        'consent.category.necessary': 'Necessary',
+        'consent.category.necessaryDescription': 'Required for the site to work, such as your language and form drafts. Always on.',
+        'consent.category.analytics': 'Analytics',
+        'consent.category.analyticsDescription': 'Anonymous usage statistics that help us improve the site.',
+        'consent.category.media': 'Maps and media',
+        'consent.category.mediaDescription': 'Embedded maps and videos from third parties, which may set their own cookies.',
+        'consent.placeholder': 'This content is provided by a third party. It loads once you allow {category}.',
+        'consent.loadOnce': 'Load once',
+        'consent.alwaysAllow': 'Always allow {category}'
+    },
+
+    hi: {
+        'validation.required': 'यह फ़ील्ड आवश्यक है',
+        'validation.email': 'कृपया एक मान्य ईमेल पता दर्ज करें',
+        'validation.phone': 'कृपया एक मान्य फ़ोन नंबर दर्ज करें',
+        'validation.url': 'कृपया एक मान्य URL दर्ज करें',
+        'validation.minLength': {
+            one: 'न्यूनतम लंबाई {count} अक्षर है',
+            other: 'न्यूनतम लंबाई {count} अक्षर है'
+        },
+        'validation.maxLength': {
+            one: 'अधिकतम लंबाई {count} अक्षर है',
+            other: 'अधिकतम लंबाई {count} अक्षर है'
+        },
+        'validation.pattern': 'कृपया आवश्यक प्रारूप का पालन करें',
+        'validation.invalid': 'कृपया इस फ़ील्ड की जाँच करें',
+        'validation.match': 'मान मेल नहीं खाते',
+        'validation.atLeastOne': 'कृपया इनमें से कम से कम एक फ़ील्ड भरें',
+        'validation.after': 'यह आरंभ के बाद का होना चाहिए',
+        'validation.accept': 'यह फ़ाइल प्रकार स्वीकार्य नहीं है। अनुमत: {types}',
+        'validation.maxSize': 'फ़ाइलें {size} या उससे छोटी होनी चाहिए',
+        'validation.maxFiles': {
+            one: '{count} से अधिक फ़ाइल संलग्न न करें',
+            other: '{count} से अधिक फ़ाइलें संलग्न न करें'
+        },
+
+        'form.errorCount': {
+            one: 'इस फ़ॉर्म में {count} त्रुटि है',
+            other: 'इस फ़ॉर्म में {count} त्रुटियाँ हैं'
+        },
+        'form.errorSummaryTitle': 'कृपया निम्नलिखित को ठीक करें:',
+        'form.progress': 'फ़ॉर्म की प्रगति',
+        'form.step': 'चरण {number}',
+        'form.back': 'पीछे',
+        'form.next': 'आगे',
+        'form.checking': 'जाँच हो रही है...',
+        'form.leaveConfirm': 'इस फ़ॉर्म में आपके बदलाव सहेजे नहीं गए हैं। क्या आप फिर भी यह पेज छोड़ना चाहते हैं?',
+        'form.honeypot': 'इस फ़ील्ड को खाली छोड़ें',
+
+        'form.success.contact': 'आपके संदेश के लिए धन्यवाद! हम 24 घंटे के भीतर आपसे संपर्क करेंगे।',
+        'form.success.newsletter': 'आपने हमारे न्यूज़लेटर की सदस्यता सफलतापूर्वक ले ली है!',
+        'form.success.investor': 'आपकी निवेशक पूछताछ प्राप्त हो गई है। हमारी टीम जल्द ही आपसे संपर्क करेगी।',
+        'form.success.partnership': 'साझेदारी में आपकी रुचि के लिए धन्यवाद। हम आपके प्रस्ताव की समीक्षा करेंगे।',
+        'form.success.career': 'आपका आवेदन सफलतापूर्वक जमा हो गया है।',
+        'form.success.support': 'आपका सहायता अनुरोध प्राप्त हो गया है। हम जल्द ही आपकी सहायता करेंगे।',
+        'form.success.default': 'फ़ॉर्म सफलतापूर्वक जमा हो गया!',
+
+        'submission.retry': 'पुनः प्रयास करें',
+        'submission.failed': 'जमा करना विफल रहा। कृपया पुनः प्रयास करें।',
+        'submission.status': 'जमा करना विफल रहा ({status})। कृपया पुनः प्रयास करें।',
+        'submission.network': 'नेटवर्क त्रुटि। कृपया अपना कनेक्शन जाँचें और पुनः प्रयास करें।',
+        'submission.timeout': 'अनुरोध का समय समाप्त हो गया। कृपया पुनः प्रयास करें।',
+        'submission.config': 'कोई सबमिशन एंडपॉइंट कॉन्फ़िगर नहीं है।',
+        'submission.proofOfWork': 'आपका ब्राउज़र हमारी स्पैम जाँच पूरी नहीं कर सका। कृपया यह पेज https पर खोलें या कोई अन्य ब्राउज़र आज़माएँ।',
+        'submission.queuedOnline': 'हम सर्वर तक नहीं पहुँच सके। आपका सबमिशन सहेज लिया गया है और अपने आप भेज दिया जाएगा।',
+        'submission.queuedOffline': 'आप ऑफ़लाइन प्रतीत होते हैं। आपका सबमिशन सहेज लिया गया है और ऑनलाइन होने पर भेज दिया जाएगा।',
+
+        'outbox.pending': {
+            one: '{count} सबमिशन भेजे जाने की प्रतीक्षा में है',
+            other: '{count} सबमिशन भेजे जाने की प्रतीक्षा में हैं'
+        },
+        'outbox.sendNow': 'अभी भेजें',
+        'outbox.delivered': 'सहेजा गया सबमिशन भेज दिया गया',
+        'outbox.failed': 'सहेजा गया सबमिशन नहीं भेजा जा सका: {reason}',
+        'outbox.expired': 'सहेजा गया सबमिशन भेजने के लिए बहुत पुराना था और हटा दिया गया है।',
+
+        'spam.timing': 'बहुत जल्दी! कृपया एक बार अपना विवरण जाँच लें, फिर फ़ॉर्म दोबारा भेजें।',
+        'spam.rateLimit': 'आपने पिछले कुछ मिनटों में यह फ़ॉर्म कई बार भेजा है। कृपया दोबारा प्रयास करने से पहले थोड़ा इंतज़ार करें।',
+        'spam.rejected': 'आपका सबमिशन नहीं भेजा जा सका। कृपया बाद में पुनः प्रयास करें।',
+
+        'upload.prompt': 'फ़ाइल यहाँ छोड़ें या चुनने के लिए क्लिक करें',
+        'upload.promptMultiple': 'फ़ाइलें यहाँ छोड़ें या चुनने के लिए क्लिक करें',
+        'upload.maxSize': 'अधिकतम {size}',
+        'upload.remove': '{name} हटाएँ',
+        'upload.progress': '{name} अपलोड हो रही है',
+
+        'draft.found': '{date} का एक अप्रेषित ड्राफ़्ट उपलब्ध है।',
+        'draft.restore': 'ड्राफ़्ट पुनर्स्थापित करें',
+        'draft.discard': 'हटाएँ',
+        'draft.restored': 'फ़ॉर्म डेटा पुनर्स्थापित किया गया',
+
+        'products.catalogue.unavailable': 'हमारी उत्पाद सूची लोड नहीं हो सकी। कृपया बाद में फिर प्रयास करें।',
+        'products.stage.discovery': 'खोज',
+        'products.stage.preclinical': 'प्रीक्लिनिकल',
+        'products.stage.phase-1': 'चरण I',
+        'products.stage.phase-2': 'चरण II',
+        'products.stage.phase-3': 'चरण III',
+        'products.stage.registration': 'पंजीकरण',
+        'products.stage.marketed': 'बाज़ार में उपलब्ध',
+        'products.category.veterinary': 'पशु चिकित्सा',
+        'products.category.human': 'मानव स्वास्थ्य',
+        'products.category.diagnostic': 'डायग्नोस्टिक्स',
+        'products.category.biosimilar': 'बायोसिमिलर',
+        'products.species.cattle': 'मवेशी',
+        'products.species.sheep': 'भेड़',
+        'products.species.goats': 'बकरियाँ',
+        'products.species.poultry': 'मुर्गीपालन',
+        'products.species.dogs': 'कुत्ते',
+        'products.species.cats': 'बिल्लियाँ',
+        'products.species.humans': 'मनुष्य',
+        'products.species.animals': 'पशु',
+        'products.area.infectious-disease': 'संक्रामक रोग',
+        'products.area.oncology': 'कैंसर विज्ञान',
+        'products.area.immunology': 'प्रतिरक्षा विज्ञान',
+        'products.area.metabolic': 'चयापचय संबंधी विकार',
+        'products.area.regenerative-medicine': 'पुनर्योजी चिकित्सा',
+        'products.area.cardiovascular': 'हृदय रोग',
+        'products.area.neurology': 'तंत्रिका विज्ञान',
+        'products.area.animal-genetics': 'पशु आनुवंशिकी',
+        'products.facets.category': 'श्रेणी',
+        'products.facets.species': 'प्रजाति',
+        'products.facets.stage': 'पाइपलाइन चरण',
+        'products.facets.area': 'चिकित्सीय क्षेत्र',
+        'products.pipeline.allAreas': 'सभी क्षेत्र',
+        'products.pipeline.unavailable': 'हमारी विकास पाइपलाइन लोड नहीं हो सकी। कृपया बाद में फिर प्रयास करें।',
+        'products.pipeline.completed': 'पूर्ण',
+        'products.pipeline.expected': 'अपेक्षित',
+        'news.category.press': 'प्रेस विज्ञप्ति',
+        'news.category.research': 'अनुसंधान',
+        'news.category.partnerships': 'साझेदारी',
+        'news.category.awards': 'पुरस्कार',
+        'news.feed.loading': 'लेख लोड हो रहे हैं…',
+        'news.feed.loaded': {
+            one: '{count} और लेख लोड हुआ',
+            other: '{count} और लेख लोड हुए'
+        },
+        'news.feed.end': 'आप समाचार फ़ीड के अंत तक पहुँच गए हैं',
+        'news.feed.empty': 'इस श्रेणी में अभी कोई लेख नहीं है',
+        'news.feed.error': 'लेख लोड नहीं हो सके। कृपया फिर प्रयास करें।',
+        'news.article.readingTime': {
+            one: '{count} मिनट का पाठ',
+            other: '{count} मिनट का पाठ'
+        },
+        'news.article.notFound': 'यह लेख नहीं मिला',
+        'news.article.backToNews': 'सभी समाचारों पर वापस जाएँ',
+        'news.article.linkCopied': 'लिंक क्लिपबोर्ड पर कॉपी हो गया',
+        'news.article.copyFailed': 'लिंक कॉपी नहीं हो सका',
+        'products.search.results': {
+            one: '{count} उत्पाद',
+            other: '{count} उत्पाद'
+        },
+        'products.search.resultsFor': {
+            one: '“{query}” से {count} उत्पाद मेल खाता है',
+            other: '“{query}” से {count} उत्पाद मेल खाते हैं'
+        },
+
+        'notifications.region': 'सूचनाएँ',
+        'notifications.close': 'सूचना बंद करें',
+
+        'download.started': '{filename} डाउनलोड हो रहा है...',
+        'download.complete': 'डाउनलोड पूरा हुआ: {filename}',
+
+        'modal.confirmTitle': 'कृपया पुष्टि करें',
+        'modal.alertTitle': 'सूचना',
+        'modal.ok': 'ठीक है',
+        'modal.cancel': 'रद्द करें',
+
+        'consent.bannerLabel': 'कुकी सहमति',
+        'consent.bannerText': 'हम यह समझने के लिए कुकीज़ का उपयोग करते हैं कि हमारी साइट का उपयोग कैसे होता है, और एम्बेड किए गए मानचित्र व वीडियो दिखाने के लिए। आप सभी स्वीकार कर सकते हैं, वैकल्पिक कुकीज़ अस्वीकार कर सकते हैं या श्रेणी के अनुसार चुन सकते हैं।',
+        'consent.customize': 'अनुकूलित करें',
+        'consent.rejectAll': 'वैकल्पिक अस्वीकार करें',
+        'consent.acceptAll': 'सभी स्वीकार करें',
+        'consent.save': 'विकल्प सहेजें',
+        'consent.preferencesTitle': 'कुकी सेटिंग्स',
+        'consent.preferencesIntro': 'चुनें कि आप कौन-सी वैकल्पिक कुकीज़ और तृतीय-पक्ष सामग्री की अनुमति देते हैं। आप इसे कभी भी फ़ुटर से बदल सकते हैं।',
+        'consent.category.necessary': 'आवश्यक',
+        'consent.category.necessaryDescription': 'साइट के काम करने के लिए ज़रूरी, जैसे आपकी भाषा और फ़ॉर्म ड्राफ़्ट। हमेशा चालू।',
+        'consent.category.analytics': 'एनालिटिक्स',
+        'consent.category.analyticsDescription': 'गुमनाम उपयोग आँकड़े जो साइट को बेहतर बनाने में हमारी मदद करते हैं।',
+        'consent.category.media': 'मानचित्र और मीडिया',
+        'consent.category.mediaDescription': 'तृतीय पक्षों के एम्बेड किए गए मानचित्र और वीडियो, जो अपनी कुकीज़ सेट कर सकते हैं।',
+        'consent.placeholder': 'यह सामग्री किसी तृतीय पक्ष द्वारा प्रदान की जाती है। {category} की अनुमति देने पर यह लोड होगी।',
+        'consent.loadOnce': 'एक बार लोड करें',
+        'consent.alwaysAllow': '{category} की हमेशा अनुमति दें'
+    },
+
+    es: {
+        'validation.required': 'Este campo es obligatorio',
+        'validation.email': 'Introduzca una dirección de correo electrónico válida',
+        'validation.phone': 'Introduzca un número de teléfono válido',
+        'validation.url': 'Introduzca una URL válida',
+        'validation.minLength': {
+            one: 'La longitud mínima es de {count} carácter',
+            other: 'La longitud mínima es de {count} caracteres'
+        },
+        'validation.maxLength': {
+            one: 'La longitud máxima es de {count} carácter',
+            other: 'La longitud máxima es de {count} caracteres'
+        },
+        'validation.pattern': 'Respete el formato requerido',
+        'validation.invalid': 'Revise este campo',
+        'validation.match': 'Los valores no coinciden',
+        'validation.atLeastOne': 'Rellene al menos uno de estos campos',
+        'validation.after': 'Debe ser posterior al inicio',
+        'validation.accept': 'Este tipo de archivo no está permitido. Se admiten: {types}',
+        'validation.maxSize': 'Los archivos deben ocupar {size} o menos',
+        'validation.maxFiles': {
+            one: 'Adjunte como máximo {count} archivo',
+            other: 'Adjunte como máximo {count} archivos'
+        },
+
+        'form.errorCount': {
+            one: 'Hay {count} error en este formulario',
+            other: 'Hay {count} errores en este formulario'
+        },
+        'form.errorSummaryTitle': 'Corrija lo siguiente:',
+        'form.progress': 'Progreso del formulario',
+        'form.step': 'Paso {number}',
+        'form.back': 'Atrás',
+        'form.next': 'Siguiente',
+        'form.checking': 'Comprobando...',
+        'form.leaveConfirm': 'Tiene cambios sin guardar en este formulario. ¿Desea salir de esta página de todos modos?',
+        'form.honeypot': 'Deje este campo vacío',
+
+        'form.success.contact': '¡Gracias por su mensaje! Le responderemos en un plazo de 24 horas.',
+        'form.success.newsletter': '¡Se ha suscrito correctamente a nuestro boletín!',
+        'form.success.investor': 'Hemos recibido su consulta como inversor. Nuestro equipo se pondrá en contacto con usted pronto.',
+        'form.success.partnership': 'Gracias por su interés en colaborar con nosotros. Revisaremos su propuesta.',
+        'form.success.career': 'Su solicitud se ha enviado correctamente.',
+        'form.success.support': 'Hemos recibido su solicitud de soporte. Le ayudaremos en breve.',
+        'form.success.default': '¡Formulario enviado correctamente!',
+
+        'submission.retry': 'Reintentar',
+        'submission.failed': 'No se pudo enviar. Inténtelo de nuevo.',
+        'submission.status': 'No se pudo enviar ({status}). Inténtelo de nuevo.',
+        'submission.network': 'Error de red. Compruebe su conexión e inténtelo de nuevo.',
+        'submission.timeout': 'La solicitud ha tardado demasiado. Inténtelo de nuevo.',
+        'submission.config': 'No hay ningún punto de envío configurado.',
+        'submission.proofOfWork': 'Su navegador no ha podido completar nuestra comprobación antispam. Abra esta página mediante https o pruebe con otro navegador.',
+        'submission.queuedOnline': 'No hemos podido contactar con el servidor. Su envío se ha guardado y se enviará automáticamente.',
+        'submission.queuedOffline': 'Parece que no tiene conexión. Su envío se ha guardado y se enviará cuando vuelva a estar en línea.',
+
+        'outbox.pending': {
+            one: '{count} envío pendiente',
+            other: '{count} envíos pendientes'
+        },
+        'outbox.sendNow': 'Enviar ahora',
+        'outbox.delivered': 'Envío guardado entregado',
+        'outbox.failed': 'No se pudo entregar un envío guardado: {reason}',
+        'outbox.expired': 'Un envío guardado era demasiado antiguo y se ha descartado.',
+
+        'spam.timing': '¡Qué rapidez! Revise sus datos un momento y vuelva a enviar el formulario.',
+        'spam.rateLimit': 'Ha enviado este formulario varias veces en los últimos minutos. Espere un poco antes de volver a intentarlo.',
+        'spam.rejected': 'No se pudo enviar su solicitud. Inténtelo de nuevo más tarde.',
+
+        'upload.prompt': 'Suelte un archivo aquí o haga clic para elegirlo',
+        'upload.promptMultiple': 'Suelte archivos aquí o haga clic para elegirlos',
+        'upload.maxSize': 'Máx. {size}',
+        'upload.remove': 'Quitar {name}',
+        'upload.progress': 'Subiendo {name}',
+
+        'draft.found': 'Tiene un borrador sin enviar del {date}.',
+        'draft.restore': 'Restaurar borrador',
+        'draft.discard': 'Descartar',
+        'draft.restored': 'Datos del formulario restaurados',
+
+        'products.catalogue.unavailable': 'No se pudo cargar nuestro catálogo de productos. Inténtelo de nuevo más tarde.',
+        'products.stage.discovery': 'Descubrimiento',
+        'products.stage.preclinical': 'Preclínica',
+        'products.stage.phase-1': 'Fase I',
+        'products.stage.phase-2': 'Fase II',
+        'products.stage.phase-3': 'Fase III',
+        'products.stage.registration': 'Registro',
+        'products.stage.marketed': 'En el mercado',
+        'products.category.veterinary': 'Veterinaria',
+        'products.category.human': 'Salud humana',
+        'products.category.diagnostic': 'Diagnóstico',
+        'products.category.biosimilar': 'Biosimilares',
+        'products.species.cattle': 'Bovinos',
+        'products.species.sheep': 'Ovejas',
+        'products.species.goats': 'Cabras',
+        'products.species.poultry': 'Aves de corral',
+        'products.species.dogs': 'Perros',
+        'products.species.cats': 'Gatos',
+        'products.species.humans': 'Personas',
+        'products.species.animals': 'Animales',
+        'products.area.infectious-disease': 'Enfermedades infecciosas',
+        'products.area.oncology': 'Oncología',
+        'products.area.immunology': 'Inmunología',
+        'products.area.metabolic': 'Trastornos metabólicos',
+        'products.area.regenerative-medicine': 'Medicina regenerativa',
+        'products.area.cardiovascular': 'Cardiovascular',
+        'products.area.neurology': 'Neurología',
+        'products.area.animal-genetics': 'Genética animal',
+        'products.facets.category': 'Categoría',
+        'products.facets.species': 'Especie',
+        'products.facets.stage': 'Fase de desarrollo',
+        'products.facets.area': 'Área terapéutica',
+        'products.pipeline.allAreas': 'Todas las áreas',
+        'products.pipeline.unavailable': 'No se pudo cargar nuestra cartera en desarrollo. Inténtelo de nuevo más tarde.',
+        'products.pipeline.completed': 'Completado',
+        'products.pipeline.expected': 'Previsto',
+        'news.category.press': 'Comunicado de prensa',
+        'news.category.research': 'Investigación',
+        'news.category.partnerships': 'Alianza',
+        'news.category.awards': 'Premios',
+        'news.feed.loading': 'Cargando artículos…',
+        'news.feed.loaded': {
+            one: 'Se ha cargado {count} artículo más',
+            other: 'Se han cargado {count} artículos más'
+        },
+        'news.feed.end': 'Ha llegado al final de las noticias',
+        'news.feed.empty': 'Todavía no hay artículos en esta categoría',
+        'news.feed.error': 'No se pudieron cargar los artículos. Inténtelo de nuevo.',
+        'news.article.readingTime': {
+            one: '{count} min de lectura',
+            other: '{count} min de lectura'
+        },
+        'news.article.notFound': 'No se ha encontrado este artículo',
+        'news.article.backToNews': 'Volver a todas las noticias',
+        'news.article.linkCopied': 'Enlace copiado al portapapeles',
+        'news.article.copyFailed': 'No se pudo copiar el enlace',
+        'products.search.results': {
+            one: '{count} producto',
+            other: '{count} productos'
+        },
+        'products.search.resultsFor': {
+            one: '{count} producto coincide con «{query}»',
+            other: '{count} productos coinciden con «{query}»'
+        },
+
+        'notifications.region': 'Notificaciones',
+        'notifications.close': 'Cerrar notificación',
+
+        'download.started': 'Descargando {filename}...',
+        'download.complete': 'Descarga completada: {filename}',
+
+        'modal.confirmTitle': 'Confirme, por favor',
+        'modal.alertTitle': 'Aviso',
+        'modal.ok': 'Aceptar',
+        'modal.cancel': 'Cancelar',
+
+        'consent.bannerLabel': 'Consentimiento de cookies',
+        'consent.bannerText': 'Utilizamos cookies para entender cómo se usa nuestro sitio y para mostrar mapas y vídeos incrustados. Puede aceptarlas todas, rechazar las opcionales o elegir por categoría.',
+        'consent.customize': 'Personalizar',
+        'consent.rejectAll': 'Rechazar opcionales',
+        'consent.acceptAll': 'Aceptar todas',
+        'consent.save': 'Guardar selección',
+        'consent.preferencesTitle': 'Configuración de cookies',
+        'consent.preferencesIntro': 'Elija qué cookies opcionales y contenido de terceros permite. Puede cambiarlo en cualquier momento desde el pie de página.',
+        'consent.category.necessary': 'Necesarias',
+        'consent.category.necessaryDescription': 'Imprescindibles para que el sitio funcione, como su idioma y los borradores de formularios. Siempre activas.',
+        'consent.category.analytics': 'Analítica',
+        'consent.category.analyticsDescription': 'Estadísticas de uso anónimas que nos ayudan a mejorar el sitio.',
+        'consent.category.media': 'Mapas y multimedia',
+        'consent.category.mediaDescription': 'Mapas y vídeos incrustados de terceros, que pueden instalar sus propias cookies.',
+        'consent.placeholder': 'Este contenido lo proporciona un tercero. Se cargará cuando permita {category}.',
+        'consent.loadOnce': 'Cargar una vez',
+        'consent.alwaysAllow': 'Permitir siempre {category}'
+    }
+};
+
+class I18n {
+    constructor(options = {}) {
+        this.messages = options.messages || DEFAULT_MESSAGES;
+        this.fallbackLocale = options.fallbackLocale || 'en';
+        this.storageKey = options.storageKey || 'locale';
+        this.bundlePath = options.bundlePath || './locales';
+        this.languageNames = options.languageNames || {
+            en: 'English',
+            hi: 'हिन्दी',
+            es: 'Español'
+        };
+        this.locales = options.locales || Object.keys(this.languageNames);
+        this.rtlLocales = options.rtlLocales || ['ar', 'fa', 'he', 'ur'];
+        this.debug = options.debug !== undefined
+            ? options.debug
+            : ['localhost', '127.0.0.1'].includes(window.location.hostname);
+        this.listeners = [];
+        this.pluralRules = new Map();
+        this.bundles = new Map();
+        this.sources = new WeakMap();
+        this.missing = new Set();
+        this.locale = this.detectLocale();
+
+        this.init();
+    }
+
+    init() {
+        this.applyDocumentLocale();
+        this.setupSwitchers();
+
+        // Resolves once the page has been translated into the detected locale
+        this.ready = this.loadLocale(this.locale).then(() => this.translatePage());
+    }
+
+    getLocales() {
+        return this.locales.slice();
+    }
+
+    getDirection(locale = this.locale) {
+        return this.rtlLocales.includes(locale.split('-')[0]) ? 'rtl' : 'ltr';
+    }
+
+    applyDocumentLocale() {
+        document.documentElement.lang = this.locale;
+        document.documentElement.dir = this.getDirection();
+    }
+
+    // A ?lang= link wins, then the saved choice, then the browser's preferred languages
+    detectLocale() {
+        let saved = null;
+        try {
+            saved = localStorage.getItem(this.storageKey);
+        } catch (e) {
+            // Storage can be unavailable in private browsing
+        }
+
+        const candidates = [this.getUrlLocale(), saved, ...(navigator.languages || [navigator.language])];
+
+        for (const candidate of candidates) {
+            const locale = this.resolveLocale(candidate);
+            if (locale) return locale;
+        }
+
+        return this.fallbackLocale;
+    }
+
+    // Works for "#about?lang=hi" as well as "/about?lang=hi"
+    getUrlLocale() {
+        const match = (window.location.search + window.location.hash).match(/[?&]lang=([\w-]+)/);
+        return match ? match[1] : null;
+    }
+
+    // Maps "es-MX" to "es"; null when unsupported
+    resolveLocale(locale) {
+        if (!locale) return null;
+
+        if (this.locales.includes(locale)) return locale;
+
+        const language = locale.toLowerCase().split('-')[0];
+        return this.locales.includes(language) ? language : null;
+    }
+
+    // Page content bundles load on first use; the English text lives in the markup
+    loadLocale(locale) {
+        if (locale === this.fallbackLocale) return Promise.resolve();
+
+        if (!this.bundles.has(locale)) {
+            const request = fetch(`${this.bundlePath}/${locale}.json`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(messages => this.addMessages(locale, messages))
+                .catch(error => {
+                    console.warn(`Failed to load ${locale} translations:`, error);
+
+                    // Try again on the next switch
+                    this.bundles.delete(locale);
+                });
+
+            this.bundles.set(locale, request);
+        }
+
+        return this.bundles.get(locale);
+    }
+
+    async setLocale(locale) {
+        const resolved = this.resolveLocale(locale);
+        if (!resolved || resolved === this.locale) return;
+
+        this.requestedLocale = resolved;
+        await this.loadLocale(resolved);
+
+        // A later switch won while this bundle was loading
+        if (this.requestedLocale !== resolved) return;
+
+        const previous = this.locale;
+        this.locale = resolved;
+        this.applyDocumentLocale();
+
+        try {
+            localStorage.setItem(this.storageKey, resolved);
+        } catch (e) {
+            console.warn('Failed to save locale:', e);
+        }
+
+        this.translatePage();
+        this.syncSwitchers();
+        this.listeners.forEach(listener => listener(resolved, previous));
+    }
+
+    // Called with (locale, previousLocale); returns an unsubscribe function
+    onChange(listener) {
+        this.listeners.push(listener);
+
+        return () => {
+            this.listeners = this.listeners.filter(item => item !== listener);
+        };
+    }
+
+    addMessages(locale, messages) {
+        this.messages[locale] = { ...this.messages[locale], ...messages };
+    }
+
+    has(key, locale = this.locale) {
+        return this.lookup(key, locale) !== undefined;
+    }
+
+    lookup(key, locale) {
+        const catalogue = this.messages[locale];
+        return catalogue ? catalogue[key] : undefined;
+    }
+
+    // t('outbox.pending', { count: 2 }) picks the plural form and fills in {placeholders}
+    t(key, params = {}, fallback = key) {
+        let message = this.lookup(key, this.locale);
+
+        if (message === undefined) {
+            this.reportMissing(key);
+            message = this.lookup(key, this.fallbackLocale);
+        }
+
+        if (message === undefined) return fallback;
+
+        if (typeof message === 'object') {
+            const category = typeof params.count === 'number' ? this.getPluralRules().select(params.count) : 'other';
+            message = message[category] || message.other;
+        }
+
+        return this.interpolate(message, params);
+    }
+
+    // <h2 data-i18n="about.title">About</h2> and <button data-i18n-attr="aria-label:nav.toggleMenu">.
+    // The original markup is kept as the English source.
+    translatePage(root = document) {
+        const selector = '[data-i18n], [data-i18n-attr]';
+        const elements = Array.from(root.querySelectorAll(selector));
+
+        if (root.matches && root.matches(selector)) {
+            elements.unshift(root);
+        }
+
+        elements.forEach(element => this.translateElement(element));
+    }
+
+    translateElement(element) {
+        const key = element.getAttribute('data-i18n');
+        const attributes = this.parseAttributeKeys(element.getAttribute('data-i18n-attr'));
+        let source = this.sources.get(element);
+
+        // Capture the source again when the element was reused for another key
+        if (!source || source.key !== key) {
+            source = { key, text: element.textContent, attributes: {} };
+            this.sources.set(element, source);
+        }
+
+        const isSource = this.locale === this.fallbackLocale;
+        let isMissing = false;
+
+        if (key) {
+            const translated = !isSource && this.isTranslated(key);
+            isMissing = !isSource && !translated;
+            element.textContent = translated ? this.t(key) : source.text;
+        }
+
+        attributes.forEach(({ name, key: attributeKey }) => {
+            if (!(name in source.attributes)) {
+                source.attributes[name] = element.getAttribute(name) || '';
+            }
+
+            const translated = !isSource && this.isTranslated(attributeKey);
+            isMissing = isMissing || (!isSource && !translated);
+            element.setAttribute(name, translated ? this.t(attributeKey) : source.attributes[name]);
+        });
+
+        if (this.debug) {
+            element.classList.toggle('i18n-missing', isMissing);
+        }
+    }
+
+    // "aria-label:nav.toggleMenu;title:nav.menu"
+    parseAttributeKeys(declaration) {
+        if (!declaration) return [];
+
+        return declaration.split(';').map(pair => {
+            const [name, key] = pair.split(':').map(part => part.trim());
+            return { name, key };
+        }).filter(pair => pair.name && pair.key);
+    }
+
+    isTranslated(key) {
+        if (this.has(key)) return true;
+
+        this.reportMissing(key);
+        return false;
+    }
+
+    // English is the source language, so nothing can be missing there
+    reportMissing(key) {
+        if (this.locale === this.fallbackLocale) return;
+
+        const id = `${this.locale}:${key}`;
+        if (this.missing.has(id)) return;
+
+        this.missing.add(id);
+        if (this.debug) {
+            console.warn(`Missing ${this.locale} translation: ${key}`);
+        }
+    }
+
+    getMissingKeys(locale = this.locale) {
+        return Array.from(this.missing)
+            .filter(id => id.startsWith(`${locale}:`))
+            .map(id => id.slice(locale.length + 1));
+    }
+
+    getPluralRules() {
+        if (!this.pluralRules.has(this.locale)) {
+            this.pluralRules.set(this.locale, new Intl.PluralRules(this.locale));
+        }
+
+        return this.pluralRules.get(this.locale);
+    }
+
+    interpolate(message, params) {
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) return match;
+
+            const value = params[name];
+            return typeof value === 'number' ? value.toLocaleString(this.locale) : String(value);
+        });
+    }
+
+    // <select data-locale-switcher></select> is filled with the supported languages
+    setupSwitchers() {
+        document.querySelectorAll('[data-locale-switcher]').forEach(switcher => {
+            if (!switcher.options.length) {
+                this.getLocales().forEach(locale => {
+                    const option = document.createElement('option');
+                    option.value = locale;
+                    option.lang = locale;
+                    option.textContent = this.languageNames[locale] || locale;
+                    switcher.appendChild(option);
+                });
+            }
+
+            switcher.addEventListener('change', () => this.setLocale(switcher.value));
+        });
+
+        this.syncSwitchers();
+    }
+
+    syncSwitchers() {
+        document.querySelectorAll('[data-locale-switcher]').forEach(switcher => {
+            switcher.value = this.locale;
+        });
+    }
+}
+
+// Initialize before the modules that render messages
+document.addEventListener('DOMContentLoaded', () => {
+    window.i18n = new I18n();
+});
+
+// Export for use in other modules
+window.I18n = I18n;
@@ -44,30 +44,12 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Counter Animation
 function animateCounter(statElement) {
-    const numberElement = statElement.querySelector('.stat-number');
-    const target = parseInt(numberElement.dataset.target);
-    const prefix = numberElement.textContent.replace(/\d/g, '').replace('0', '');
-    const suffix = numberElement.textContent.includes('%') ? '%' : 
-                   numberElement.textContent.includes('M') ? 'M' : '';
-    
-    let current = 0;
-    const increment = target / 50;
-    const timer = setInterval(() => {
-        current += increment;
-        if (current >= target) {
-            current = target;
-            clearInterval(timer);
-        }
-        
-        let displayValue = Math.floor(current);
-        if (suffix === 'M') {
-            numberElement.textContent = `${prefix}${displayValue}M`;
-        } else if (suffix === '%') {
-            numberElement.textContent = `${displayValue}%`;
-        } else {
-            numberElement.textContent = displayValue;
-        }
-    }, 50);
+    const numberElement = statElement.querySelector('[data-target]');
+
+    // data-format, data-currency and data-decimals control the rendering
+    if (numberElement) {
+        window.localeFormatter.animateCounter(numberElement);
+    }
 }
 
 // Progress Bar Animation
@@ -146,46 +128,24 @@ function initializeLazyLoading() {
 
 // Document Download Simulation
 function simulateDownload(filename) {
-    // Create notification
-    showNotification(`Downloading ${filename}...`);
+    const notification = showNotification(`Downloading ${filename}...`, 'info', {
+        icon: 'fas fa-download',
+        duration: 0
+    });
     
     // Simulate download delay
     setTimeout(() => {
-        showNotification(`${filename} downloaded successfully!`, 'success');
+        notification.update(`${filename} downloaded successfully!`, {
+            type: 'success',
+            icon: 'fas fa-check',
+            duration: 3000
+        });
     }, 2000);
 }
 
 // Notification System
-function showNotification(message, type = 'info') {
-    // Remove existing notifications
-    const existingNotifications = document.querySelectorAll('.notification');
-    existingNotifications.forEach(notif => notif.remove());
-    
-    // Create new notification
-    const notification = document.createElement('div');
-    notification.className = 'notification';
-    notification.textContent = message;
-    
-    if (type === 'success') {
-        notification.style.background = 'var(--success-color)';
-    } else if (type === 'error') {
-        notification.style.background = 'var(--error-color)';
-    }
-    
-    document.body.appendChild(notification);
-    
-    // Show notification
-    setTimeout(() => {
-        notification.classList.add('show');
-    }, 100);
-    
-    // Hide notification after 3 seconds
-    setTimeout(() => {
-        notification.classList.add('hide');
-        setTimeout(() => {
-            notification.remove();
-        }, 300);
-    }, 3000);
+function showNotification(message, type = 'info', options = {}) {
+    return window.notificationCenter.show(message, { ...options, type });
 }
 
 // Smooth scroll for navigation links
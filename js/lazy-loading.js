@@ -6,6 +6,7 @@ class LazyLoader {
         this.loadedImages = new Set();
         this.loadingQueue = [];
         this.isProcessing = false;
+        this.awaitingConsent = new Map();
         
         this.init();
     }
@@ -13,6 +14,7 @@ class LazyLoader {
     init() {
         this.setupImageLazyLoading();
         this.setupContentLazyLoading();
+        this.setupConsentGating();
         this.setupProgressiveImageLoading();
         this.preloadCriticalImages();
     }
@@ -143,7 +145,20 @@ class LazyLoader {
 
     loadContent(element) {
         const contentType = element.getAttribute('data-lazy-content');
-        
+        const category = this.getConsentCategory(element, contentType);
+
+        this.contentObserver.unobserve(element);
+
+        // Third-party embeds wait behind a click-to-load placeholder until consented
+        if (category && !window.consentManager.has(category)) {
+            this.showConsentPlaceholder(element, category);
+            return;
+        }
+
+        this.renderContent(element, contentType);
+    }
+
+    renderContent(element, contentType) {
         switch (contentType) {
             case 'map':
                 this.loadMap(element);
@@ -160,8 +175,78 @@ class LazyLoader {
             default:
                 this.loadGenericContent(element);
         }
+    }
 
-        this.contentObserver.unobserve(element);
+    // Maps, videos and iframes are media embeds; data-consent picks another category or, empty, none
+    getConsentCategory(element, contentType) {
+        if (element.hasAttribute('data-consent')) {
+            return element.getAttribute('data-consent') || null;
+        }
+
+        return ['map', 'video', 'iframe'].includes(contentType) ? 'media' : null;
+    }
+
+    setupConsentGating() {
+        // Granting a category loads everything that was waiting for it
+        window.consentManager.onChange(() => {
+            this.awaitingConsent.forEach((pending, element) => {
+                if (window.consentManager.has(pending.category)) {
+                    this.loadPendingContent(element);
+                }
+            });
+        });
+
+        window.i18n.onChange(() => {
+            this.awaitingConsent.forEach((pending, element) => {
+                this.showConsentPlaceholder(element, pending.category);
+            });
+        });
+    }
+
+    showConsentPlaceholder(element, category) {
+        const pending = this.awaitingConsent.get(element);
+        if (pending) {
+            pending.placeholder.remove();
+        }
+
+        const t = (key, params) => window.i18n.t(key, params);
+        const placeholder = document.createElement('div');
+        placeholder.className = 'consent-placeholder';
+        placeholder.innerHTML = `
+            <i class="fas fa-shield-alt" aria-hidden="true"></i>
+            <p class="consent-placeholder-text"></p>
+            <div class="consent-placeholder-actions">
+                <button type="button" class="btn btn-primary consent-load-once"></button>
+                <button type="button" class="consent-link consent-allow"></button>
+            </div>
+        `;
+
+        const categoryName = t(`consent.category.${category}`);
+        placeholder.querySelector('.consent-placeholder-text').textContent =
+            t('consent.placeholder', { category: categoryName });
+        placeholder.querySelector('.consent-load-once').textContent = t('consent.loadOnce');
+        placeholder.querySelector('.consent-allow').textContent = t('consent.alwaysAllow', { category: categoryName });
+
+        placeholder.querySelector('.consent-load-once').addEventListener('click', () => {
+            this.loadPendingContent(element);
+        });
+        placeholder.querySelector('.consent-allow').addEventListener('click', () => {
+            window.consentManager.grant(category);
+        });
+
+        element.appendChild(placeholder);
+        this.awaitingConsent.set(element, { category, placeholder });
+    }
+
+    // "Load once" or newly granted consent: swap the placeholder for the real embed
+    loadPendingContent(element) {
+        const pending = this.awaitingConsent.get(element);
+        if (pending) {
+            pending.placeholder.remove();
+            this.awaitingConsent.delete(element);
+        }
+
+        this.renderContent(element, element.getAttribute('data-lazy-content'));
     }
 
     loadMap(element) {
@@ -170,7 +255,7 @@ class LazyLoader {
             const iframe = document.createElement('iframe');
             iframe.src = mapSrc;
             iframe.width = '100%';
-            iframe.height = '300';
+            iframe.height = element.getAttribute('data-height') || '300';
             iframe.style.border = '0';
             iframe.setAttribute('allowfullscreen', '');
             iframe.setAttribute('loading', 'lazy');
@@ -3,13 +3,18 @@ class ABSNovacellWebsite {
     constructor() {
         this.currentPage = 'home';
         this.isLoading = false;
+        this.pendingNavigation = null;
         this.animationObserver = null;
         this.lazyLoadObserver = null;
+        this.router = null;
+        this.productSearch = null;
+        this.sectionHandlers = new Map();
         
         this.init();
     }
 
     init() {
+        this.initializeRouter();
         this.setupEventListeners();
         this.initializeAnimations();
         this.initializeLazyLoading();
@@ -19,15 +24,14 @@ class ABSNovacellWebsite {
         this.initializeAccordions();
         this.initializeFilterSystem();
         this.initializeNavigation();
-        this.initializeForms();
         this.hideLoadingScreen();
         this.initializeBackToTop();
         this.initializeMobileMenu();
     }
 
     setupEventListeners() {
-        // Page navigation
-        document.querySelectorAll('[data-page]').forEach(element => {
+        // Page navigation (sections carry data-page too, so skip them)
+        document.querySelectorAll('[data-page]:not(.page)').forEach(element => {
             element.addEventListener('click', (e) => {
                 e.preventDefault();
                 const targetPage = element.getAttribute('data-page');
@@ -36,10 +40,18 @@ class ABSNovacellWebsite {
         });
 
         // Smooth scrolling for internal links
-        document.querySelectorAll('a[href^="#"]').forEach(anchor => {
+        document.querySelectorAll('a[href^="#"]:not([data-page]):not(.skip-link)').forEach(anchor => {
             anchor.addEventListener('click', (e) => {
                 e.preventDefault();
                 const targetId = anchor.getAttribute('href').substring(1);
+
+                // Deep links such as #contact/faq go through the router
+                const route = this.router.match(targetId);
+                if (route) {
+                    this.navigateToPage(route.page, { section: route.section });
+                    return;
+                }
+
                 const targetElement = document.getElementById(targetId);
                 if (targetElement) {
                     targetElement.scrollIntoView({
@@ -98,34 +110,213 @@ class ABSNovacellWebsite {
         });
     }
 
-    navigateToPage(pageId) {
-        if (this.isLoading || pageId === this.currentPage) return;
-        
+    initializeRouter() {
+        this.router = new Router({
+            defaultPage: 'home',
+            onRouteChange: (route, { initial }) => {
+                const lang = route.query.lang;
+
+                // Back/forward across a language switch, or the first load
+                if (lang && window.i18n.resolveLocale(lang) !== window.i18n.locale) {
+                    window.i18n.setLocale(lang);
+                } else if (initial) {
+                    this.updateLocaleInUrl(window.i18n.locale);
+                }
+
+                // Landing on the page that is already shown does not enter it, so run its hooks here
+                const alreadyShown = initial && route.page === this.currentPage;
+
+                this.navigateToPage(route.page, {
+                    section: route.section,
+                    updateHistory: false,
+                    instant: initial
+                }).then(entered => {
+                    if (entered && alreadyShown) {
+                        this.router.runAfterEnter(route, null);
+                    }
+                });
+            }
+        });
+
+        this.router.afterEnter('*', (to) => {
+            this.triggerPageAnimations(document.getElementById(to.page));
+            this.trackPageView(to);
+        });
+
+        // Keep ?lang= in the URL so shared links open in the same language
+        this.router.setSharedQuery('lang', this.getUrlLocale(window.i18n.locale));
+        window.i18n.onChange((locale) => this.updateLocaleInUrl(locale));
+
+        // Start once the other modules' DOMContentLoaded handlers have registered their hooks
+        setTimeout(() => this.router.start(), 0);
+    }
+
+    trackPageView(route) {
+        window.analytics.track('page_view', { page: route.page, section: route.section });
+    }
+
+    // The default language is left out of URLs
+    getUrlLocale(locale) {
+        return locale === window.i18n.fallbackLocale ? null : locale;
+    }
+
+    updateLocaleInUrl(locale) {
+        const lang = this.getUrlLocale(locale);
+        this.router.setSharedQuery('lang', lang);
+
+        const route = this.router.currentRoute;
+        if (!route || (route.query.lang || null) === lang) return;
+
+        const query = { ...route.query };
+        delete query.lang;
+
+        this.router.navigate(route.page, route.section, {
+            replace: true,
+            params: route.params,
+            query,
+            force: true
+        });
+    }
+
+    async navigateToPage(pageId, options = {}) {
+        if (this.isLoading) {
+            // Back/forward has already moved the URL, so catch up once the running transition settles
+            if (options.updateHistory === false) {
+                this.pendingNavigation = { pageId, options };
+            }
+            return false;
+        }
+
+        const result = await this.performNavigation(pageId, options);
+
+        const pending = this.pendingNavigation;
+        this.pendingNavigation = null;
+        if (pending) {
+            await this.navigateToPage(pending.pageId, pending.options);
+        }
+
+        return result;
+    }
+
+    async performNavigation(pageId, options) {
+        const {
+            section = null,
+            query = {},
+            replace = false,
+            updateHistory = true,
+            instant = false,
+            transition,
+            redirects = 0
+        } = options;
+        const targetPageElement = document.getElementById(pageId);
+
+        if (!targetPageElement) return false;
+
+        // Same page: only show the requested section
+        if (pageId === this.currentPage) {
+            if (updateHistory) {
+                this.router.navigate(pageId, section, { replace, query });
+            }
+            if (!this.runSectionHandler(pageId, section) && section) {
+                this.scrollToSection(targetPageElement, section);
+            }
+            return true;
+        }
+
+        const from = this.router.createRoute(this.currentPage);
+        const to = this.router.createRoute(pageId, section, [], query);
+
         this.isLoading = true;
-        
-        // Hide current page
-        const currentPageElement = document.querySelector('.page.active');
-        if (currentPageElement) {
-            currentPageElement.classList.remove('active');
+        const { allowed, redirect } = await this.router.resolveTransition(to, from);
+        this.isLoading = false;
+
+        if (!allowed) {
+            // Back/forward already changed the URL, so put the current page back
+            if (!updateHistory) {
+                this.router.navigate(from.page, null, { replace: true });
+            }
+
+            if (redirect && redirects < 5) {
+                return this.navigateToPage(redirect.page, {
+                    section: redirect.section,
+                    replace,
+                    redirects: redirects + 1
+                });
+            }
+            return false;
         }
-        
-        // Show target page with animation
-        setTimeout(() => {
-            const targetPageElement = document.getElementById(pageId);
-            if (targetPageElement) {
-                targetPageElement.classList.add('active');
-                targetPageElement.scrollIntoView({ behavior: 'smooth' });
-                
-                // Update navigation
-                this.updateActiveNavLink(pageId);
-                this.currentPage = pageId;
-                
-                // Re-trigger animations for new page
-                this.triggerPageAnimations(targetPageElement);
+
+        if (updateHistory) {
+            this.router.navigate(pageId, section, { replace, query });
+        }
+
+        this.isLoading = true;
+
+        // Hide current page and show target page with its transition
+        const currentPageElement = document.querySelector('.page.active');
+
+        if (window.pageTransitions && currentPageElement && !instant) {
+            await window.pageTransitions.run(currentPageElement, targetPageElement, transition);
+        } else {
+            if (currentPageElement) {
+                currentPageElement.classList.remove('active');
             }
-            
-            this.isLoading = false;
-        }, 150);
+            targetPageElement.classList.add('active');
+        }
+
+        // A section handler decides what to show itself, e.g. by opening a modal
+        const handled = this.runSectionHandler(pageId, section);
+
+        if (!handled && section) {
+            this.scrollToSection(targetPageElement, section);
+        } else if (!handled) {
+            targetPageElement.scrollIntoView({ behavior: instant ? 'auto' : 'smooth' });
+        }
+
+        // The first load leaves focus where the browser put it
+        if (!instant && !handled) {
+            window.focusManager.focusPageHeading(
+                targetPageElement,
+                section ? this.findSection(targetPageElement, section) : null
+            );
+        }
+
+        // Update navigation
+        this.updateActiveNavLink(pageId);
+        this.currentPage = pageId;
+
+        this.isLoading = false;
+
+        await this.router.runAfterEnter(to, from);
+        return true;
+    }
+
+    // A page can take over its sections, e.g. #products/<id> opens that product's modal.
+    // The handler also runs with null when the page is shown without a section, and
+    // returns true when it handled the section itself.
+    addSectionHandler(pageId, handler) {
+        this.sectionHandlers.set(pageId, handler);
+    }
+
+    runSectionHandler(pageId, section) {
+        const handler = this.sectionHandlers.get(pageId);
+        return Boolean(handler && handler(section));
+    }
+
+    // Resolves a deep-link section by id, data-section or "<name>-section" class
+    findSection(pageElement, section) {
+        const name = CSS.escape(section);
+        return pageElement.querySelector(`#${name}, [data-section="${name}"], .${name}-section`);
+    }
+
+    scrollToSection(pageElement, section) {
+        const sectionElement = this.findSection(pageElement, section);
+
+        if (sectionElement) {
+            sectionElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        } else {
+            pageElement.scrollIntoView({ behavior: 'smooth' });
+        }
     }
 
     updateActiveNavLink(pageId) {
@@ -203,21 +394,9 @@ class ABSNovacellWebsite {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
                     const counter = entry.target;
-                    const target = parseInt(counter.getAttribute('data-target'));
-                    const increment = target / 200;
-                    let current = 0;
-                    
-                    const updateCounter = () => {
-                        if (current < target) {
-                            current += increment;
-                            counter.textContent = Math.ceil(current);
-                            requestAnimationFrame(updateCounter);
-                        } else {
-                            counter.textContent = target;
-                        }
-                    };
-                    
-                    updateCounter();
+
+                    // data-format, data-currency and data-decimals control the rendering
+                    window.localeFormatter.animateCounter(counter);
                     counterObserver.unobserve(counter);
                 }
             });
@@ -278,7 +457,10 @@ class ABSNovacellWebsite {
             slides.forEach((_, index) => {
                 const indicator = document.createElement('div');
                 indicator.className = `indicator ${index === 0 ? 'active' : ''}`;
-                indicator.addEventListener('click', () => goToSlide(index));
+                indicator.addEventListener('click', () => {
+                    goToSlide(index);
+                    trackSlide('indicator');
+                });
                 config.indicators.appendChild(indicator);
             });
         }
@@ -296,6 +478,11 @@ class ABSNovacellWebsite {
             }
         };
 
+        // Only visitor-driven slide changes are tracked, not autoplay
+        const trackSlide = (method) => {
+            window.analytics.track('carousel_navigate', { carousel: name, slide: currentSlide + 1, method });
+        };
+
         const goToSlide = (index) => {
             currentSlide = index;
             updateSlides();
@@ -313,11 +500,17 @@ class ABSNovacellWebsite {
         };
 
         const startAutoPlay = () => {
+            stopAutoPlay();
             if (config.autoPlay) {
                 autoPlayInterval = setInterval(nextSlide, config.interval);
             }
         };
 
+        const stopAutoPlay = () => {
+            clearInterval(autoPlayInterval);
+            autoPlayInterval = null;
+        };
+
         const resetAutoPlay = () => {
             if (autoPlayInterval) {
                 clearInterval(autoPlayInterval);
@@ -330,6 +523,7 @@ class ABSNovacellWebsite {
             config.nextBtn.addEventListener('click', () => {
                 nextSlide();
                 resetAutoPlay();
+                trackSlide('next');
             });
         }
 
@@ -337,6 +531,7 @@ class ABSNovacellWebsite {
             config.prevBtn.addEventListener('click', () => {
                 prevSlide();
                 resetAutoPlay();
+                trackSlide('previous');
             });
         }
 
@@ -357,16 +552,28 @@ class ABSNovacellWebsite {
                     prevSlide();
                 }
                 resetAutoPlay();
+                trackSlide('swipe');
             }
         });
 
-        // Start autoplay
-        startAutoPlay();
+        // Start autoplay, but only while the carousel's page is shown
+        const page = config.container.closest('.page');
+        if (!page || page.classList.contains('active')) {
+            startAutoPlay();
+        }
+
+        if (page) {
+            this.router.afterEnter('*', (to) => {
+                if (to.page === page.id) {
+                    startAutoPlay();
+                } else {
+                    stopAutoPlay();
+                }
+            });
+        }
 
         // Pause on hover
-        config.container.addEventListener('mouseenter', () => {
-            if (autoPlayInterval) clearInterval(autoPlayInterval);
-        });
+        config.container.addEventListener('mouseenter', stopAutoPlay);
 
         config.container.addEventListener('mouseleave', startAutoPlay);
     }
@@ -421,187 +628,20 @@ class ABSNovacellWebsite {
     }
 
     initializeFilterSystem() {
-        // Product filter
-        const productFilters = document.querySelectorAll('.filter-btn');
-        const productCards = document.querySelectorAll('.product-card');
-
-        productFilters.forEach(filter => {
-            filter.addEventListener('click', () => {
-                const filterValue = filter.getAttribute('data-filter');
-
-                // Update active filter
-                productFilters.forEach(btn => btn.classList.remove('active'));
-                filter.classList.add('active');
-
-                // Filter products
-                productCards.forEach(card => {
-                    const categories = card.getAttribute('data-category');
-                    if (filterValue === 'all' || categories.includes(filterValue)) {
-                        card.classList.remove('hidden');
-                        card.style.display = 'block';
-                    } else {
-                        card.classList.add('hidden');
-                        setTimeout(() => {
-                            card.style.display = 'none';
-                        }, 300);
-                    }
-                });
-            });
-        });
-
-        // News filter
-        const newsFilters = document.querySelectorAll('.news-filter .filter-btn');
-        const newsCards = document.querySelectorAll('.news-card');
-
-        newsFilters.forEach(filter => {
-            filter.addEventListener('click', () => {
-                const filterValue = filter.getAttribute('data-filter');
-
-                // Update active filter
-                newsFilters.forEach(btn => btn.classList.remove('active'));
-                filter.classList.add('active');
-
-                // Filter news
-                newsCards.forEach(card => {
-                    const category = card.getAttribute('data-category');
-                    if (filterValue === 'all' || category === filterValue) {
-                        card.style.display = 'block';
-                        card.classList.remove('hidden');
-                    } else {
-                        card.style.display = 'none';
-                        card.classList.add('hidden');
-                    }
-                });
-            });
-        });
-    }
-
-    initializeForms() {
-        const contactForm = document.getElementById('contact-form');
-        if (contactForm) {
-            contactForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                this.handleFormSubmission(contactForm);
-            });
-
-            // Real-time validation
-            const inputs = contactForm.querySelectorAll('input, select, textarea');
-            inputs.forEach(input => {
-                input.addEventListener('blur', () => {
-                    this.validateField(input);
-                });
-
-                input.addEventListener('input', () => {
-                    if (input.classList.contains('error')) {
-                        this.validateField(input);
-                    }
-                });
-            });
-        }
-    }
-
-    validateField(field) {
-        const formGroup = field.closest('.form-group');
-        const errorMessage = formGroup.querySelector('.error-message');
-        let isValid = true;
-        let message = '';
-
-        // Remove previous error state
-        formGroup.classList.remove('error');
-
-        // Validation rules
-        if (field.hasAttribute('required') && !field.value.trim()) {
-            isValid = false;
-            message = 'This field is required';
-        } else if (field.type === 'email' && field.value) {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(field.value)) {
-                isValid = false;
-                message = 'Please enter a valid email address';
-            }
-        } else if (field.type === 'tel' && field.value) {
-            const phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
-            if (!phoneRegex.test(field.value.replace(/\s/g, ''))) {
-                isValid = false;
-                message = 'Please enter a valid phone number';
-            }
-        }
-
-        if (!isValid) {
-            formGroup.classList.add('error');
-            errorMessage.textContent = message;
-        } else {
-            errorMessage.textContent = '';
-        }
-
-        return isValid;
-    }
-
-    handleFormSubmission(form) {
-        const submitBtn = form.querySelector('button[type="submit"]');
-        const inputs = form.querySelectorAll('input, select, textarea');
-        let isFormValid = true;
-
-        // Validate all fields
-        inputs.forEach(input => {
-            if (!this.validateField(input)) {
-                isFormValid = false;
+        // Product search; the products section handler restores it from the URL
+        this.productSearch = new ProductSearch(document.getElementById('product-search'), {
+            catalogue: window.productCatalogue,
+            onChange: (query) => {
+                const route = this.router.currentRoute;
+                if (!route || route.page !== 'products') return;
+
+                this.router.navigate('products', route.section, { replace: true, params: route.params, query });
             }
         });
-
-        if (!isFormValid) {
-            // Scroll to first error
-            const firstError = form.querySelector('.form-group.error');
-            if (firstError) {
-                firstError.scrollIntoView({ behavior: 'smooth', block: 'center' });
-            }
-            return;
-        }
-
-        // Simulate form submission
-        submitBtn.classList.add('loading');
-
-        setTimeout(() => {
-            submitBtn.classList.remove('loading');
-            this.showNotification('Message sent successfully! We\'ll get back to you soon.', 'success');
-            form.reset();
-        }, 2000);
     }
 
-    showNotification(message, type = 'info') {
-        const notification = document.createElement('div');
-        notification.className = `notification notification-${type}`;
-        notification.innerHTML = `
-            <div class="notification-content">
-                <span>${message}</span>
-                <button class="notification-close">&times;</button>
-            </div>
-        `;
-
-        document.body.appendChild(notification);
-
-        setTimeout(() => {
-            notification.classList.add('show');
-        }, 100);
-
-        // Auto remove after 5 seconds
-        setTimeout(() => {
-            this.removeNotification(notification);
-        }, 5000);
-
-        // Close button
-        notification.querySelector('.notification-close').addEventListener('click', () => {
-            this.removeNotification(notification);
-        });
-    }
-
-    removeNotification(notification) {
-        notification.classList.remove('show');
-        setTimeout(() => {
-            if (notification.parentNode) {
-                notification.parentNode.removeChild(notification);
-            }
-        }, 300);
+    showNotification(message, type = 'info', options = {}) {
+        return window.notificationCenter.show(message, { ...options, type });
     }
 
     initializeBackToTop() {
@@ -630,29 +670,65 @@ class ABSNovacellWebsite {
         const mobileToggle = document.getElementById('mobile-menu-toggle');
         const navMenu = document.getElementById('nav-menu');
 
+        mobileToggle.setAttribute('aria-controls', 'nav-menu');
+        mobileToggle.setAttribute('aria-expanded', 'false');
+
         mobileToggle.addEventListener('click', () => {
-            mobileToggle.classList.toggle('active');
-            navMenu.classList.toggle('active');
+            if (navMenu.classList.contains('active')) {
+                this.closeMobileMenu();
+            } else {
+                this.openMobileMenu();
+            }
         });
 
-        // Close mobile menu when clicking on a link
+        // Close mobile menu when clicking on a link; the page heading takes focus from there
         const navLinks = navMenu.querySelectorAll('.nav-link');
         navLinks.forEach(link => {
             link.addEventListener('click', () => {
-                mobileToggle.classList.remove('active');
-                navMenu.classList.remove('active');
+                this.closeMobileMenu({ restoreFocus: false });
             });
         });
 
         // Close mobile menu when clicking outside
         document.addEventListener('click', (e) => {
             if (!mobileToggle.contains(e.target) && !navMenu.contains(e.target)) {
-                mobileToggle.classList.remove('active');
-                navMenu.classList.remove('active');
+                this.closeMobileMenu({ restoreFocus: false });
             }
         });
     }
 
+    // The toggle stays reachable inside the trap so the menu can be closed again
+    openMobileMenu() {
+        const mobileToggle = document.getElementById('mobile-menu-toggle');
+        const navMenu = document.getElementById('nav-menu');
+
+        mobileToggle.classList.add('active');
+        mobileToggle.setAttribute('aria-expanded', 'true');
+        navMenu.classList.add('active');
+
+        this.releaseMobileMenu = window.focusManager.trap(document.getElementById('main-nav'), {
+            initialFocus: navMenu.querySelector('.nav-link'),
+            returnFocus: mobileToggle,
+            onEscape: () => this.closeMobileMenu(),
+            // Pressing a control elsewhere closes the menu and lets that control take focus
+            onPointerOutside: () => this.closeMobileMenu({ restoreFocus: false })
+        });
+    }
+
+    closeMobileMenu(options = {}) {
+        const mobileToggle = document.getElementById('mobile-menu-toggle');
+        const navMenu = document.getElementById('nav-menu');
+
+        mobileToggle.classList.remove('active');
+        mobileToggle.setAttribute('aria-expanded', 'false');
+        navMenu.classList.remove('active');
+
+        if (this.releaseMobileMenu) {
+            this.releaseMobileMenu(options);
+            this.releaseMobileMenu = null;
+        }
+    }
+
     updateNavigationState() {
         // Update navigation based on scroll position
         const scrollPosition = window.pageYOffset;
@@ -667,49 +743,28 @@ class ABSNovacellWebsite {
 
     handleResize() {
         // Handle responsive adjustments
-        const mobileToggle = document.getElementById('mobile-menu-toggle');
-        const navMenu = document.getElementById('nav-menu');
-
         if (window.innerWidth > 768) {
-            mobileToggle.classList.remove('active');
-            navMenu.classList.remove('active');
+            this.closeMobileMenu({ restoreFocus: false });
         }
     }
 }
 
 // Global utility functions
 function simulateDownload(filename) {
-    const notification = document.createElement('div');
-    notification.className = 'download-notification';
-    notification.innerHTML = `
-        <div class="download-content">
-            <i class="fas fa-download"></i>
-            <span>Downloading ${filename}...</span>
-        </div>
-    `;
-    
-    document.body.appendChild(notification);
-    
-    setTimeout(() => {
-        notification.classList.add('show');
-    }, 100);
-    
+    window.analytics.track('file_download', { file_name: filename });
+
+    const notification = window.notificationCenter.show(window.i18n.t('download.started', { filename }), {
+        type: 'info',
+        icon: 'fas fa-download',
+        duration: 0
+    });
+
     setTimeout(() => {
-        notification.innerHTML = `
-            <div class="download-content">
-                <i class="fas fa-check"></i>
-                <span>Download complete!</span>
-            </div>
-        `;
-        
-        setTimeout(() => {
-            notification.classList.remove('show');
-            setTimeout(() => {
-                if (notification.parentNode) {
-                    notification.parentNode.removeChild(notification);
-                }
-            }, 300);
-        }, 2000);
+        notification.update(window.i18n.t('download.complete', { filename }), {
+            type: 'success',
+            icon: 'fas fa-check',
+            duration: 2000
+        });
     }, 3000);
 }
 
@@ -729,192 +784,102 @@ document.addEventListener('DOMContentLoaded', () => {
             
             const map = document.getElementById(mapId);
             if (map) {
-                if (map.style.display === 'none' || !map.style.display) {
-                    map.style.display = 'block';
-                    toggle.innerHTML = '<i class="fas fa-map"></i> Hide Map';
-                } else {
-                    map.style.display = 'none';
-                    toggle.innerHTML = '<i class="fas fa-map"></i> View on Map';
-                }
+                const show = map.style.display === 'none' || !map.style.display;
+                const label = toggle.querySelector('[data-i18n]');
+                map.style.display = show ? 'block' : 'none';
+
+                // Swap the key, with the English text as its new source
+                label.setAttribute('data-i18n', show ? 'contact.locations.hideMap' : 'contact.locations.viewOnMap');
+                label.textContent = show ? 'Hide Map' : 'View on Map';
+                window.i18n.translateElement(label);
             }
         });
     });
     
-    // Initialize product modal functionality
-    const modal = document.getElementById('product-modal');
-    const modalClose = document.getElementById('modal-close');
-    const viewDetailsButtons = document.querySelectorAll('.view-details-btn');
+    // Initialize product modal functionality; #products/<id> opens it directly
+    const site = window.absNovacell;
+    const catalogue = window.productCatalogue;
+    const productModal = new Modal(document.getElementById('product-modal'));
+    let openProductId = null;
     
-    const productDetails = {
-        'veterinary-vaccines': {
-            title: 'Veterinary Vaccines',
-            content: `
-                <div class="modal-product-content">
-                    <img src="https://images.pexels.com/photos/3825527/pexels-photo-3825527.jpeg?auto=compress&cs=tinysrgb&w=500&h=300" alt="Veterinary Vaccines" style="width: 100%; border-radius: 8px; margin-bottom: 1rem;">
-                    <h4>Comprehensive Veterinary Vaccine Portfolio</h4>
-                    <p>Our veterinary vaccines protect livestock and companion animals from major infectious diseases, ensuring animal health and productivity.</p>
-                    <h5>Key Products:</h5>
-                    <ul>
-                        <li><strong>FMD Vaccine:</strong> Foot-and-mouth disease protection for cattle and sheep</li>
-                        <li><strong>PPR Vaccine:</strong> Peste des petits ruminants vaccine for goats and sheep</li>
-                        <li><strong>Newcastle Disease Vaccine:</strong> Protection for poultry against Newcastle disease</li>
-                        <li><strong>Rabies Vaccine:</strong> Post-exposure prophylaxis for companion animals</li>
-                    </ul>
-                    <h5>Benefits:</h5>
-                    <ul>
-                        <li>High efficacy and safety profile</li>
-                        <li>Extended shelf life and stability</li>
-                        <li>Cost-effective disease prevention</li>
-                        <li>Regulatory compliant manufacturing</li>
-                    </ul>
-                </div>
-            `
-        },
-        'human-vaccines': {
-            title: 'Human Vaccines',
-            content: `
-                <div class="modal-product-content">
-                    <img src="https://images.pexels.com/photos/3825581/pexels-photo-3825581.jpeg?auto=compress&cs=tinysrgb&w=500&h=300" alt="Human Vaccines" style="width: 100%; border-radius: 8px; margin-bottom: 1rem;">
-                    <h4>Next-Generation Human Vaccines</h4>
-                    <p>Our human vaccine portfolio focuses on preventing infectious diseases with innovative formulations and enhanced efficacy.</p>
-                    <h5>Key Products:</h5>
-                    <ul>
-                        <li><strong>COVID-19 Vaccine:</strong> mRNA-based vaccine with broad variant protection</li>
-                        <li><strong>Universal Flu Vaccine:</strong> Broad-spectrum influenza protection</li>
-                        <li><strong>Hepatitis B Vaccine:</strong> Enhanced immunogenicity formulation</li>
-                        <li><strong>Pneumococcal Vaccine:</strong> Multi-serotype conjugate vaccine</li>
-                    </ul>
-                    <h5>Innovation Features:</h5>
-                    <ul>
-                        <li>Novel adjuvant technology for enhanced immunogenicity</li>
-                        <li>Cold-chain independent formulations</li>
-                        <li>Single-dose and combination vaccines</li>
-                        <li>Needle-free delivery options</li>
-                    </ul>
-                </div>
-            `
-        },
-        'biosimilars': {
-            title: 'Biosimilar Therapeutics',
-            content: `
-                <div class="modal-product-content">
-                    <img src="https://images.pexels.com/photos/3938023/pexels-photo-3938023.jpeg?auto=compress&cs=tinysrgb&w=500&h=300" alt="Biosimilars" style="width: 100%; border-radius: 8px; margin-bottom: 1rem;">
-                    <h4>Cost-Effective Biosimilar Solutions</h4>
-                    <p>Our biosimilar portfolio provides affordable alternatives to expensive biologics while maintaining equivalent efficacy and safety.</p>
-                    <h5>Therapeutic Areas:</h5>
-                    <ul>
-                        <li><strong>Oncology:</strong> Monoclonal antibodies for cancer treatment</li>
-                        <li><strong>Autoimmune Disorders:</strong> TNF-alpha inhibitors and IL-6 blockers</li>
-                        <li><strong>Diabetes:</strong> Insulin analogs and GLP-1 receptor agonists</li>
-                        <li><strong>Growth Disorders:</strong> Human growth hormone biosimilars</li>
-                    </ul>
-                    <h5>Quality Assurance:</h5>
-                    <ul>
-                        <li>Comprehensive analytical characterization</li>
-                        <li>Clinical comparability studies</li>
-                        <li>Global regulatory approvals</li>
-                        <li>Robust pharmacovigilance systems</li>
-                    </ul>
-                </div>
-            `
-        },
-        'diagnostic-kits': {
-            title: 'Diagnostic Kits',
-            content: `
-                <div class="modal-product-content">
-                    <img src="https://images.pexels.com/photos/4033148/pexels-photo-4033148.jpeg?auto=compress&cs=tinysrgb&w=500&h=300" alt="Diagnostic Kits" style="width: 100%; border-radius: 8px; margin-bottom: 1rem;">
-                    <h4>Advanced Diagnostic Solutions</h4>
-                    <p>Our diagnostic portfolio enables rapid, accurate detection and monitoring of various diseases and conditions.</p>
-                    <h5>Product Categories:</h5>
-                    <ul>
-                        <li><strong>PCR Assays:</strong> Molecular diagnostics for infectious diseases</li>
-                        <li><strong>ELISA Kits:</strong> Serological testing for antibodies and antigens</li>
-                        <li><strong>Rapid Tests:</strong> Point-of-care testing for immediate results</li>
-                        <li><strong>Biomarker Assays:</strong> Disease monitoring and prognosis</li>
-                    </ul>
-                    <h5>Key Features:</h5>
-                    <ul>
-                        <li>High sensitivity and specificity</li>
-                        <li>User-friendly protocols</li>
-                        <li>Rapid turnaround times</li>
-                        <li>Cost-effective solutions</li>
-                    </ul>
-                </div>
-            `
-        },
-        'stem-cells': {
-            title: 'Stem Cell Therapy',
-            content: `
-                <div class="modal-product-content">
-                    <img src="https://images.pexels.com/photos/3184340/pexels-photo-3184340.jpeg?auto=compress&cs=tinysrgb&w=500&h=300" alt="Stem Cell Therapy" style="width: 100%; border-radius: 8px; margin-bottom: 1rem;">
-                    <h4>Regenerative Medicine Solutions</h4>
-                    <p>Our stem cell therapy programs focus on developing advanced treatments for degenerative diseases and tissue repair.</p>
-                    <h5>Research Areas:</h5>
-                    <ul>
-                        <li><strong>Mesenchymal Stem Cells (MSCs):</strong> Bone, cartilage, and adipose tissue regeneration</li>
-                        <li><strong>Induced Pluripotent Stem Cells (iPSCs):</strong> Disease modeling and drug testing</li>
-                        <li><strong>Neural Stem Cells:</strong> Neurological disorder treatments</li>
-                        <li><strong>Hematopoietic Stem Cells:</strong> Blood disorder therapies</li>
-                    </ul>
-                    <h5>Applications:</h5>
-                    <ul>
-                        <li>Orthopedic and joint disorders</li>
-                        <li>Cardiovascular diseases</li>
-                        <li>Neurological conditions</li>
-                        <li>Autoimmune diseases</li>
-                    </ul>
-                </div>
-            `
-        },
-        'livestock-cloning': {
-            title: 'Livestock Cloning',
-            content: `
-                <div class="modal-product-content">
-                    <img src="https://images.pexels.com/photos/3184351/pexels-photo-3184351.jpeg?auto=compress&cs=tinysrgb&w=500&h=300" alt="Livestock Cloning" style="width: 100%; border-radius: 8px; margin-bottom: 1rem;">
-                    <h4>Advanced Reproductive Technologies</h4>
-                    <p>Our livestock cloning and reproductive technology services help improve animal genetics and productivity.</p>
-                    <h5>Services:</h5>
-                    <ul>
-                        <li><strong>Somatic Cell Nuclear Transfer (SCNT):</strong> Elite animal cloning</li>
-                        <li><strong>Embryo Transfer:</strong> Genetic improvement programs</li>
-                        <li><strong>In Vitro Fertilization (IVF):</strong> Assisted reproduction</li>
-                        <li><strong>Genetic Preservation:</strong> Germplasm banking</li>
-                    </ul>
-                    <h5>Benefits:</h5>
-                    <ul>
-                        <li>Preservation of superior genetics</li>
-                        <li>Increased productivity and disease resistance</li>
-                        <li>Conservation of endangered breeds</li>
-                        <li>Accelerated breeding programs</li>
-                    </ul>
-                </div>
-            `
+    const renderProduct = (product) => {
+        document.getElementById('modal-title').textContent = catalogue.toView(product).title;
+
+        const modalBody = document.getElementById('modal-body');
+        modalBody.innerHTML = '';
+        modalBody.appendChild(catalogue.renderDetail(product));
+    };
+
+    const openProduct = (productId) => {
+        const product = catalogue.get(productId);
+        if (!product) return false;
+
+        renderProduct(product);
+        openProductId = productId;
+
+        if (!productModal.isOpen) {
+            productModal.open({ initialFocus: '#modal-close' });
+            window.analytics.track('modal_open', { modal: 'product', product: productId });
         }
+        return true;
     };
-    
-    viewDetailsButtons.forEach(button => {
-        button.addEventListener('click', () => {
-            const productId = button.getAttribute('data-product');
-            const product = productDetails[productId];
-            
-            if (product) {
-                document.getElementById('modal-title').textContent = product.title;
-                document.getElementById('modal-body').innerHTML = product.content;
-                modal.classList.add('active');
-                document.body.style.overflow = 'hidden';
+
+    // The URL drives the modal, so back/forward and shared links open and close it too
+    site.addSectionHandler('products', (section) => {
+        // Shared links carry the search as ?q=…&species=…
+        const route = site.router.currentRoute;
+        site.productSearch.setQuery(route && route.page === 'products' ? route.query : {});
+
+        if (!section) {
+            productModal.close();
+            return false;
+        }
+
+        if (catalogue.loaded) {
+            return openProduct(section);
+        }
+
+        // A shared link can arrive before the catalogue has loaded
+        catalogue.ready.then(() => {
+            const route = site.router.currentRoute;
+            if (!route || route.page !== 'products' || route.section !== section) return;
+
+            if (!openProduct(section)) {
+                site.scrollToSection(document.getElementById('products'), section);
             }
         });
+        return true;
     });
-    
-    modalClose.addEventListener('click', () => {
-        modal.classList.remove('active');
-        document.body.style.overflow = 'auto';
+
+    // Cards are rendered later, so listen on the grid
+    document.getElementById('products-grid').addEventListener('click', (e) => {
+        const button = e.target.closest('.view-details-btn');
+        if (button) {
+            site.navigateToPage('products', {
+                section: button.getAttribute('data-product'),
+                query: site.productSearch.getQuery()
+            });
+        }
     });
-    
-    modal.addEventListener('click', (e) => {
-        if (e.target === modal) {
-            modal.classList.remove('active');
-            document.body.style.overflow = 'auto';
+
+    window.i18n.onChange(() => {
+        if (productModal.isOpen && openProductId) {
+            renderProduct(catalogue.get(openProductId));
+        }
+    });
+
+    // Closing drops the product from the URL again
+    productModal.on('close', () => {
+        const route = site.router.currentRoute;
+        if (route && route.page === 'products' && route.section) {
+            site.router.navigate('products', null, { replace: true, query: site.productSearch.getQuery() });
+        }
+    });
+
+    // Leaving the products page (e.g. with the back button) closes it as well
+    site.router.afterEnter('*', (to) => {
+        if (to.page !== 'products') {
+            productModal.close();
         }
     });
 });
@@ -0,0 +1,113 @@
+// Markdown Rendering
+//
+// A small, escaping subset for our own content: front matter, ## headings, paragraphs, lists,
+// > quotes, **bold**, *italic*, `code` and [links](https://…). Raw HTML is shown as text.
+class MarkdownRenderer {
+    // Splits "---\nkey: value\n---\nbody" into { meta, body }
+    static parse(text) {
+        const source = text.replace(/\r\n/g, '\n');
+        const match = /^---\n([\s\S]*?)\n---\n?/.exec(source);
+        if (!match) return { meta: {}, body: source };
+
+        const meta = {};
+        match[1].split('\n').forEach(line => {
+            const index = line.indexOf(':');
+            if (index > 0) {
+                meta[line.slice(0, index).trim()] = line.slice(index + 1).trim().replace(/^(["'])(.*)\1$/, '$2');
+            }
+        });
+
+        return { meta, body: source.slice(match[0].length) };
+    }
+
+    static render(markdown) {
+        return markdown
+            .replace(/\r\n/g, '\n')
+            .split(/\n{2,}/)
+            .map(block => MarkdownRenderer.renderBlock(block.trim()))
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    static renderBlock(block) {
+        if (!block) return '';
+
+        const lines = block.split('\n');
+        const heading = /^(#{1,6})\s+(.*)$/.exec(lines[0]);
+
+        // The page already has the article title as its h1, so # becomes an h2 as well
+        if (heading) {
+            const level = Math.max(2, heading[1].length);
+            const rest = MarkdownRenderer.renderBlock(lines.slice(1).join('\n').trim());
+            return `<h${level}>${MarkdownRenderer.inline(heading[2])}</h${level}>${rest ? `\n${rest}` : ''}`;
+        }
+
+        if (lines.every(line => /^[-*]\s+/.test(line))) {
+            return MarkdownRenderer.renderList('ul', lines.map(line => line.replace(/^[-*]\s+/, '')));
+        }
+
+        if (lines.every(line => /^\d+\.\s+/.test(line))) {
+            return MarkdownRenderer.renderList('ol', lines.map(line => line.replace(/^\d+\.\s+/, '')));
+        }
+
+        if (lines.every(line => /^>/.test(line))) {
+            const quote = lines.map(line => line.replace(/^>\s?/, '')).join('\n');
+            return `<blockquote>${MarkdownRenderer.render(quote)}</blockquote>`;
+        }
+
+        return `<p>${MarkdownRenderer.inline(lines.join(' '))}</p>`;
+    }
+
+    static renderList(tag, items) {
+        return `<${tag}>${items.map(item => `<li>${MarkdownRenderer.inline(item)}</li>`).join('')}</${tag}>`;
+    }
+
+    // Code spans and links are cut out first, so a "*" or "_" in a URL or in code is never emphasis
+    static inline(text) {
+        const tokens = /`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)/g;
+        let html = '';
+        let last = 0;
+        let match;
+
+        while ((match = tokens.exec(text))) {
+            html += MarkdownRenderer.emphasis(text.slice(last, match.index));
+            html += match[1] !== undefined
+                ? `<code>${MarkdownRenderer.escape(match[1])}</code>`
+                : MarkdownRenderer.link(match[2], match[3]);
+            last = tokens.lastIndex;
+        }
+
+        return html + MarkdownRenderer.emphasis(text.slice(last));
+    }
+
+    static emphasis(text) {
+        return MarkdownRenderer.escape(text)
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/\*([^*]+)\*/g, '<em>$1</em>');
+    }
+
+    static link(label, url) {
+        const html = MarkdownRenderer.emphasis(label);
+        if (!MarkdownRenderer.isSafeUrl(url)) return html;
+
+        const external = /^https?:/i.test(url) ? ' target="_blank" rel="noopener noreferrer"' : '';
+        return `<a href="${MarkdownRenderer.escape(url)}"${external}>${html}</a>`;
+    }
+
+    // No javascript: or data: links
+    static isSafeUrl(url) {
+        return /^(https?:|mailto:|#|\/|\.\/)/i.test(url);
+    }
+
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export for use in other modules
+window.MarkdownRenderer = MarkdownRenderer;
@@ -0,0 +1,187 @@
+// Accessible Modal Dialogs
+class Modal {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.dialog = element.querySelector('.modal-content') || element;
+        this.closeOnBackdrop = options.closeOnBackdrop !== false;
+        this.closeOnEscape = options.closeOnEscape !== false;
+        this.isOpen = false;
+        this.releaseFocus = null;
+        this.closing = null;
+        this.resolveClosing = null;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.dialog.hasAttribute('role')) {
+            this.dialog.setAttribute('role', 'dialog');
+        }
+        this.dialog.setAttribute('aria-modal', 'true');
+
+        // [data-modal-close] buttons and clicks on the backdrop close the modal
+        this.element.addEventListener('click', (e) => {
+            if (e.target.closest('[data-modal-close]')) {
+                this.close();
+            } else if (e.target === this.element && this.closeOnBackdrop) {
+                this.close();
+            }
+        });
+    }
+
+    // Resolves with the value passed to close(), e.g. true once a confirm() is accepted
+    open(options = {}) {
+        if (this.isOpen) return this.closing;
+
+        this.isOpen = true;
+        Modal.stack.push(this);
+
+        // Later modals sit above earlier ones; Escape and the focus trap follow the same order
+        this.element.style.zIndex = Modal.baseZIndex + Modal.stack.length * 10;
+        this.element.classList.add('active');
+        Modal.lockScroll();
+
+        this.releaseFocus = window.focusManager.trap(this.dialog, {
+            initialFocus: options.initialFocus || this.dialog.querySelector('[autofocus]'),
+            returnFocus: options.returnFocus,
+            onEscape: this.closeOnEscape ? () => this.close() : null
+        });
+
+        this.closing = new Promise(resolve => {
+            this.resolveClosing = resolve;
+        });
+
+        this.emit('open');
+        return this.closing;
+    }
+
+    close(value) {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        Modal.stack = Modal.stack.filter(modal => modal !== this);
+
+        this.element.classList.remove('active');
+        this.element.style.zIndex = '';
+        Modal.unlockScroll();
+
+        this.releaseFocus();
+        this.releaseFocus = null;
+
+        this.emit('close', { value });
+        this.resolveClosing(value);
+    }
+
+    // Listeners get the modal and, on close, its value in event.detail
+    on(type, handler) {
+        const eventName = `modal:${type}`;
+        this.element.addEventListener(eventName, handler);
+        return () => this.element.removeEventListener(eventName, handler);
+    }
+
+    emit(type, detail = {}) {
+        this.element.dispatchEvent(new CustomEvent(`modal:${type}`, {
+            detail: { modal: this, ...detail }
+        }));
+    }
+
+    static lockScroll() {
+        Modal.scrollLocks++;
+        if (Modal.scrollLocks > 1) return;
+
+        const body = document.body;
+        const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+
+        Modal.savedBodyStyle = { overflow: body.style.overflow, paddingRight: body.style.paddingRight };
+
+        // Pad by the scrollbar's width so the page does not jump sideways when it disappears
+        if (scrollbarWidth > 0) {
+            const padding = parseFloat(getComputedStyle(body).paddingRight) || 0;
+            body.style.paddingRight = `${padding + scrollbarWidth}px`;
+        }
+
+        body.style.overflow = 'hidden';
+    }
+
+    static unlockScroll() {
+        Modal.scrollLocks = Math.max(0, Modal.scrollLocks - 1);
+        if (Modal.scrollLocks > 0 || !Modal.savedBodyStyle) return;
+
+        document.body.style.overflow = Modal.savedBodyStyle.overflow;
+        document.body.style.paddingRight = Modal.savedBodyStyle.paddingRight;
+        Modal.savedBodyStyle = null;
+    }
+
+    // Builds a throwaway alert dialog; buttons are [{ label, value, className }]
+    static createPrompt({ title, message, buttons }) {
+        const id = `modal-prompt-${Date.now().toString(36)}`;
+        const element = document.createElement('div');
+
+        element.className = 'modal modal-prompt';
+        element.innerHTML = `
+            <div class="modal-content" role="alertdialog" aria-labelledby="${id}-title" aria-describedby="${id}-message">
+                <div class="modal-header">
+                    <h3 id="${id}-title"></h3>
+                </div>
+                <div class="modal-body">
+                    <p id="${id}-message"></p>
+                    <div class="modal-actions"></div>
+                </div>
+            </div>
+        `;
+
+        element.querySelector('h3').textContent = title;
+        element.querySelector('p').textContent = message;
+
+        const modal = new Modal(element);
+        const actions = element.querySelector('.modal-actions');
+
+        buttons.forEach(({ label, value, className }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = className || 'btn btn-primary';
+            button.textContent = label;
+            button.addEventListener('click', () => modal.close(value));
+            actions.appendChild(button);
+        });
+
+        document.body.appendChild(element);
+        modal.on('close', () => element.remove());
+
+        return modal;
+    }
+
+    // Resolves to true when confirmed; Escape and the backdrop count as cancel
+    static confirm(message, options = {}) {
+        const t = (key) => window.i18n.t(key);
+        const modal = Modal.createPrompt({
+            title: options.title || t('modal.confirmTitle'),
+            message,
+            buttons: [
+                { label: options.cancelLabel || t('modal.cancel'), value: false, className: 'btn btn-secondary' },
+                { label: options.confirmLabel || t('modal.ok'), value: true, className: 'btn btn-primary' }
+            ]
+        });
+
+        return modal.open({ initialFocus: '.btn-primary' }).then(value => value === true);
+    }
+
+    static alert(message, options = {}) {
+        const t = (key) => window.i18n.t(key);
+        const modal = Modal.createPrompt({
+            title: options.title || t('modal.alertTitle'),
+            message,
+            buttons: [{ label: options.okLabel || t('modal.ok'), value: true, className: 'btn btn-primary' }]
+        });
+
+        return modal.open({ initialFocus: '.btn-primary' }).then(() => undefined);
+    }
+}
+
+Modal.stack = [];
+Modal.baseZIndex = 10000;
+Modal.scrollLocks = 0;
+Modal.savedBodyStyle = null;
+
+// Export for use in other modules
+window.Modal = Modal;
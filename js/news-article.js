@@ -0,0 +1,337 @@
+// News Article View
+//
+// #news/<slug> replaces the news listing with the full article (reader mode). Articles are
+// data/news/articles/<slug>.md with front matter, or <slug>.json with the same fields and a
+// Markdown "body"; anything missing is taken from the article's entry in the news feed.
+//
+// Crawlers drop the #fragment and do not run our scripts, so a shared #news/<slug> link
+// previews as the home page. Where the server renders a small page per article with its own
+// og: tags (dev/stub-server.js answers /news/<slug>), set data-share-url="/news/{slug}" on
+// #news-article and share links, canonical and og:url use that page instead.
+class NewsArticleView {
+    constructor(site, options = {}) {
+        this.site = site;
+        this.page = document.getElementById('news');
+        this.container = options.container || document.getElementById('news-article');
+        this.template = options.template || document.getElementById('news-article-template');
+        this.baseUrl = options.baseUrl || './data/news/articles/';
+        this.feed = options.feed || window.newsFeed;
+        this.shareUrl = options.shareUrl || this.container.getAttribute('data-share-url');
+        this.wordsPerMinute = options.wordsPerMinute || 200;
+        this.relatedCount = options.relatedCount || 3;
+        this.articles = new Map();
+        this.current = null;
+        this.lastSlug = null;
+        this.requestId = 0;
+
+        this.init();
+    }
+
+    init() {
+        // A section that exists on the page is still a normal deep link
+        this.site.addSectionHandler('news', (section) => {
+            if (!section || this.site.findSection(this.page, section)) {
+                this.close();
+                return false;
+            }
+
+            this.open(section);
+            return true;
+        });
+
+        // Teasers and related links are rendered later, so listen on the page
+        this.page.addEventListener('click', (e) => {
+            const link = e.target.closest('.news-card .read-more, [data-article-link]');
+            if (link) {
+                e.preventDefault();
+                this.site.navigateToPage('news', { section: link.closest('[data-slug]').getAttribute('data-slug') });
+                return;
+            }
+
+            if (e.target.closest('[data-article-back]')) {
+                e.preventDefault();
+                this.site.navigateToPage('news');
+            }
+        });
+
+        this.container.addEventListener('click', (e) => {
+            // Links to other pages inside the article body go through the router too
+            const link = e.target.closest('[data-article-body] a[href^="#"]');
+            const route = link && this.site.router.match(link.getAttribute('href').substring(1));
+            if (route) {
+                e.preventDefault();
+                this.site.navigateToPage(route.page, { section: route.section });
+                return;
+            }
+
+            const share = e.target.closest('[data-share]');
+            if (share) {
+                this.share(share.getAttribute('data-share'));
+            } else if (e.target.closest('[data-article-print]')) {
+                window.analytics.track('article_print', { article: this.current.slug });
+                window.print();
+            }
+        });
+
+        window.headManager.addRouteMeta('news', (route) => this.getMeta(route));
+
+        window.i18n.onChange(() => {
+            if (this.current) {
+                this.render(this.current);
+            }
+        });
+    }
+
+    async open(slug) {
+        const requestId = ++this.requestId;
+
+        this.current = null;
+        this.page.classList.add('reading');
+        this.container.hidden = false;
+        this.container.setAttribute('aria-busy', 'true');
+
+        let article = null;
+        try {
+            // Related articles come from the feed, so wait for its first page as well
+            [article] = await Promise.all([this.load(slug), this.feed ? this.feed.ready : null]);
+        } catch (error) {
+            console.warn(`Failed to load the article "${slug}":`, error);
+        }
+
+        // Another article or the listing was opened in the meantime
+        if (requestId !== this.requestId) return;
+
+        this.container.removeAttribute('aria-busy');
+        this.current = article;
+        this.lastSlug = slug;
+
+        if (article) {
+            this.render(article);
+            window.analytics.track('article_view', { article: slug, category: article.category });
+        } else {
+            this.renderNotFound();
+        }
+
+        this.container.scrollIntoView({ block: 'start' });
+        window.focusManager.focusElement(this.container.querySelector('h1'));
+        window.headManager.updateForRoute(this.site.router.currentRoute);
+    }
+
+    close() {
+        if (this.container.hidden) return;
+
+        this.requestId++;
+        this.current = null;
+        this.container.hidden = true;
+        this.container.innerHTML = '';
+        this.page.classList.remove('reading');
+
+        // Carry on from the teaser that was opened
+        const link = this.lastSlug &&
+            this.page.querySelector(`.news-card[data-slug="${CSS.escape(this.lastSlug)}"] .read-more`);
+
+        if (link) {
+            link.scrollIntoView({ block: 'center' });
+            window.focusManager.focusElement(link);
+        }
+
+        window.headManager.updateForRoute(this.site.router.currentRoute);
+    }
+
+    load(slug) {
+        if (!this.articles.has(slug)) {
+            const request = this.fetchArticle(slug);
+
+            // Keep successes only, so a failed request can be retried
+            this.articles.set(slug, request);
+            request.then(article => {
+                if (!article) this.articles.delete(slug);
+            }, () => this.articles.delete(slug));
+        }
+
+        return this.articles.get(slug);
+    }
+
+    async fetchArticle(slug) {
+        if (!/^[a-z0-9-]+$/i.test(slug)) return null;
+
+        const markdown = await fetch(`${this.baseUrl}${slug}.md`);
+        if (markdown.ok) {
+            const { meta, body } = MarkdownRenderer.parse(await markdown.text());
+            return this.normalize(slug, meta, body);
+        }
+
+        const json = await fetch(`${this.baseUrl}${slug}.json`);
+        if (json.ok) {
+            const data = await json.json();
+            return this.normalize(slug, data, [].concat(data.body || []).join('\n\n'));
+        }
+
+        // No full text yet: show the feed's teaser on its own
+        if (this.feed) {
+            await this.feed.ready;
+        }
+
+        const teaser = this.getFeedArticle(slug);
+        return teaser ? this.normalize(slug, {}, teaser.summary || '') : null;
+    }
+
+    getFeedArticle(slug) {
+        return this.feed ? this.feed.articles.find(article => article.slug === slug) || null : null;
+    }
+
+    normalize(slug, meta, body) {
+        const teaser = this.getFeedArticle(slug) || {};
+        const title = meta.title || teaser.title || '';
+        const image = typeof meta.image === 'string' ? { src: meta.image, alt: meta.imageAlt || title } : meta.image;
+
+        return {
+            slug,
+            title,
+            summary: meta.summary || teaser.summary || '',
+            category: meta.category || teaser.category || '',
+            date: meta.date || teaser.date || '',
+            author: meta.author || '',
+            image: image || teaser.image || null,
+            body
+        };
+    }
+
+    getReadingTime(article) {
+        const words = article.body.split(/\s+/).filter(Boolean).length;
+        return Math.max(1, Math.round(words / this.wordsPerMinute));
+    }
+
+    // Newest articles in the same category that the feed has loaded
+    getRelated(article) {
+        if (!this.feed || !article.category) return [];
+
+        return this.feed.articles
+            .filter(other => other.category === article.category && other.slug !== article.slug)
+            .sort((a, b) => (b.date || '').localeCompare(a.date || ''))
+            .slice(0, this.relatedCount);
+    }
+
+    getArticleUrl(slug) {
+        if (this.shareUrl) {
+            return new URL(this.shareUrl.replace('{slug}', encodeURIComponent(slug)), window.location.href).href;
+        }
+
+        const router = this.site.router;
+        return new URL(router.buildPath(router.createRoute('news', slug)), window.location.href).href;
+    }
+
+    getShareLinks(article) {
+        const url = encodeURIComponent(this.getArticleUrl(article.slug));
+        const title = encodeURIComponent(article.title);
+
+        return {
+            x: `https://twitter.com/intent/tweet?url=${url}&text=${title}`,
+            linkedin: `https://www.linkedin.com/sharing/share-offsite/?url=${url}`,
+            facebook: `https://www.facebook.com/sharer/sharer.php?u=${url}`,
+            whatsapp: `https://wa.me/?text=${title}%20${url}`,
+            email: `mailto:?subject=${title}&body=${url}`
+        };
+    }
+
+    toView(article) {
+        return {
+            ...article,
+            // A teaser-only article would show its text twice
+            summary: article.summary.trim() === article.body.trim() ? '' : article.summary,
+            categoryLabel: article.category
+                ? window.i18n.t(`news.category.${article.category}`, {}, article.category)
+                : '',
+            readingTime: window.i18n.t('news.article.readingTime', { count: this.getReadingTime(article) }),
+            share: this.getShareLinks(article),
+            related: this.getRelated(article).map(related => ({
+                slug: related.slug,
+                href: `#news/${related.slug}`,
+                title: related.title,
+                date: related.date
+            }))
+        };
+    }
+
+    render(article) {
+        const element = TemplateRenderer.render(this.template, this.toView(article));
+        element.querySelector('[data-article-body]').innerHTML = MarkdownRenderer.render(article.body);
+
+        const nativeShare = element.querySelector('[data-share="native"]');
+        if (nativeShare) {
+            nativeShare.hidden = typeof navigator.share !== 'function';
+        }
+
+        this.container.innerHTML = '';
+        this.container.appendChild(element);
+
+        window.i18n.translatePage(element);
+        window.localeFormatter.renderDates(element);
+
+        if (window.lazyLoader) {
+            window.lazyLoader.observeNewImages();
+        }
+    }
+
+    renderNotFound() {
+        this.container.innerHTML = `
+            <div class="news-article-inner news-article-missing">
+                <h1></h1>
+                <a href="#news" class="btn btn-primary" data-article-back></a>
+            </div>
+        `;
+        this.container.querySelector('h1').textContent = window.i18n.t('news.article.notFound');
+        this.container.querySelector('a').textContent = window.i18n.t('news.article.backToNews');
+    }
+
+    // Article titles and images for the head, only while that article is shown
+    getMeta(route) {
+        const article = this.current;
+        if (!article || route.section !== article.slug) return null;
+
+        const meta = {
+            title: article.title,
+            description: article.summary,
+            type: 'article',
+            url: this.getArticleUrl(article.slug)
+        };
+        if (article.image) {
+            meta.image = article.image.src;
+        }
+        return meta;
+    }
+
+    // Network links open on their own; this tracks them and handles the native sheet and copying
+    async share(method) {
+        const article = this.current;
+        if (!article) return;
+
+        const url = this.getArticleUrl(article.slug);
+        window.analytics.track('share', { method, article: article.slug });
+
+        if (method === 'native') {
+            try {
+                await navigator.share({ title: article.title, text: article.summary, url });
+            } catch (error) {
+                // Dismissing the share sheet rejects as well
+            }
+        } else if (method === 'copy') {
+            try {
+                await navigator.clipboard.writeText(url);
+                window.notificationCenter.show(window.i18n.t('news.article.linkCopied'), { type: 'success' });
+            } catch (error) {
+                window.notificationCenter.show(window.i18n.t('news.article.copyFailed'), { type: 'error' });
+            }
+        }
+    }
+}
+
+// Runs after head-manager.js, which it registers the article meta with
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('news-article')) {
+        window.newsArticleView = new NewsArticleView(window.absNovacell);
+    }
+});
+
+// Export for use in other modules
+window.NewsArticleView = NewsArticleView;
@@ -0,0 +1,253 @@
+// News Feed
+//
+// Articles are fetched a page at a time from data/news/page-<n>.json ({ page, totalPages, articles })
+// and rendered from #news-card-template. Add data-infinite-scroll to #news-grid to load the next
+// page as the visitor nears the end; the "Load More Articles" button stays as a fallback.
+class NewsFeed {
+    constructor(grid, options = {}) {
+        this.grid = grid;
+        this.url = options.url || grid.getAttribute('data-feed') || './data/news/page-{page}.json';
+        this.template = options.template || document.getElementById('news-card-template');
+        this.button = options.button || document.getElementById('load-more-news');
+        this.status = options.status || document.querySelector('[data-news-status]');
+        this.filters = Array.from(document.querySelectorAll('.news-filter .filter-btn'));
+        this.infinite = options.infinite !== undefined ? options.infinite : grid.hasAttribute('data-infinite-scroll');
+        this.articles = [];
+        this.page = 0;
+        this.totalPages = null;
+        this.category = 'all';
+        this.loading = false;
+        this.scrollObserver = null;
+
+        this.init();
+    }
+
+    init() {
+        this.button.addEventListener('click', () => this.loadMore());
+
+        this.filters.forEach(filter => {
+            filter.setAttribute('aria-pressed', String(filter.classList.contains('active')));
+            filter.addEventListener('click', () => this.setCategory(filter.getAttribute('data-filter')));
+        });
+
+        if (this.infinite) {
+            this.setupInfiniteScroll();
+        }
+
+        // Back/forward to an entry that had more pages loaded, e.g. after a reload in between
+        window.addEventListener('popstate', (e) => {
+            const pages = e.state && e.state.newsPages;
+            if (pages > this.page) {
+                this.loadMore({ minPage: pages });
+            }
+        });
+
+        window.i18n.onChange(() => this.render());
+
+        this.ready = window.i18n.ready.then(() => this.loadMore({ minPage: this.getRememberedPages() }));
+    }
+
+    setupInfiniteScroll() {
+        if (!('IntersectionObserver' in window)) return;
+
+        this.scrollObserver = new IntersectionObserver((entries) => {
+            const visible = entries.some(entry => entry.isIntersecting);
+            if (visible && this.isShown() && this.hasMore()) {
+                this.loadMore();
+            }
+        }, { rootMargin: '300px' });
+
+        this.scrollObserver.observe(this.button.parentElement);
+    }
+
+    // Only the news page remembers or auto-loads pages
+    isShown() {
+        return Boolean(this.grid.closest('.page.active'));
+    }
+
+    hasMore() {
+        return this.totalPages === null || this.page < this.totalPages;
+    }
+
+    getRememberedPages() {
+        return (window.history.state && window.history.state.newsPages) || 1;
+    }
+
+    // Stored on the current history entry, so going back to it restores as many pages
+    rememberPages() {
+        if (!this.isShown() || this.page <= 1) return;
+
+        window.history.replaceState({ ...window.history.state, newsPages: this.page }, '');
+    }
+
+    async fetchPage(page) {
+        const response = await fetch(this.url.replace('{page}', page));
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    // Keeps going until minPage is reached and at least one new article matches the category
+    async loadMore({ minPage = 0 } = {}) {
+        if (this.loading || !this.hasMore()) return;
+
+        const added = [];
+        const hadFocus = document.activeElement === this.button;
+        this.setLoading(true);
+
+        try {
+            do {
+                const data = await this.fetchPage(this.page + 1);
+                const articles = Array.isArray(data.articles) ? data.articles : [];
+
+                this.page++;
+                this.totalPages = data.totalPages || this.page;
+                this.articles.push(...articles);
+                added.push(...articles);
+                this.appendCards(articles);
+            } while (this.hasMore() && (this.page < minPage || !added.some(article => this.matches(article))));
+
+            this.rememberPages();
+            this.setLoading(false);
+
+            // The first page arrives silently; later ones are announced
+            const shown = added.filter(article => this.matches(article));
+            this.renderStatus(this.page > 1 && shown.length ? window.i18n.t('news.feed.loaded', { count: shown.length }) : '');
+
+            // The button may be gone now, so continue from the first new article
+            if (hadFocus && shown.length) {
+                const link = this.grid.querySelector(`.news-card[data-slug="${CSS.escape(shown[0].slug)}"] .read-more`);
+                if (link) {
+                    link.focus();
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to load news articles:', error);
+            this.setLoading(false);
+            this.renderStatus(window.i18n.t('news.feed.error'));
+        }
+
+        this.refreshScrollObserver();
+    }
+
+    // Re-observing fires the callback again if the end of the list is still in view
+    refreshScrollObserver() {
+        if (!this.scrollObserver) return;
+
+        const sentinel = this.button.parentElement;
+        this.scrollObserver.unobserve(sentinel);
+
+        if (this.hasMore()) {
+            this.scrollObserver.observe(sentinel);
+        }
+    }
+
+    setLoading(loading) {
+        this.loading = loading;
+        this.grid.setAttribute('aria-busy', String(loading));
+        this.button.setAttribute('aria-disabled', String(loading));
+        this.button.classList.toggle('loading', loading);
+        this.button.hidden = !loading && !this.hasMore();
+
+        if (loading) {
+            this.renderStatus(window.i18n.t('news.feed.loading'));
+        }
+    }
+
+    renderStatus(message) {
+        if (!message && !this.hasMore()) {
+            message = this.grid.querySelector('.news-card:not(.hidden)')
+                ? window.i18n.t('news.feed.end')
+                : window.i18n.t('news.feed.empty');
+        }
+
+        if (this.status && this.status.textContent !== message) {
+            this.status.textContent = message;
+        }
+    }
+
+    matches(article) {
+        return this.category === 'all' || article.category === this.category;
+    }
+
+    toView(article) {
+        return {
+            slug: article.slug,
+            href: `#news/${article.slug}`,
+            category: article.category,
+            categoryLabel: window.i18n.t(`news.category.${article.category}`, {}, article.category),
+            date: article.date,
+            title: article.title,
+            summary: article.summary,
+            image: article.image || null
+        };
+    }
+
+    renderCard(article) {
+        const card = TemplateRenderer.render(this.template, this.toView(article));
+
+        if (!this.matches(article)) {
+            card.classList.add('hidden');
+            card.style.display = 'none';
+        }
+        return card;
+    }
+
+    appendCards(articles) {
+        const cards = articles.map(article => this.renderCard(article));
+
+        cards.forEach(card => {
+            this.grid.appendChild(card);
+            window.i18n.translatePage(card);
+            window.localeFormatter.renderDates(card);
+        });
+
+        if (window.lazyLoader) {
+            window.lazyLoader.observeNewImages();
+        }
+    }
+
+    // Rebuilds every loaded card, e.g. after a language switch
+    render() {
+        this.grid.innerHTML = '';
+        this.appendCards(this.articles);
+    }
+
+    setCategory(category) {
+        if (!category || category === this.category) return;
+
+        this.category = category;
+        window.analytics.track('filter_select', { filter: 'news', value: category });
+
+        this.filters.forEach(filter => {
+            const active = filter.getAttribute('data-filter') === category;
+            filter.classList.toggle('active', active);
+            filter.setAttribute('aria-pressed', String(active));
+        });
+
+        this.grid.querySelectorAll('.news-card').forEach(card => {
+            const visible = category === 'all' || card.getAttribute('data-category') === category;
+            card.style.display = visible ? 'block' : 'none';
+            card.classList.toggle('hidden', !visible);
+        });
+
+        // Fetch further pages when nothing loaded so far is in this category
+        if (!this.grid.querySelector('.news-card:not(.hidden)') && this.hasMore()) {
+            this.loadMore();
+        } else {
+            this.renderStatus('');
+        }
+    }
+}
+
+// Initialize on DOM load
+document.addEventListener('DOMContentLoaded', () => {
+    const grid = document.getElementById('news-grid');
+    if (grid) {
+        window.newsFeed = new NewsFeed(grid);
+    }
+});
+
+// Export for use in other modules
+window.NewsFeed = NewsFeed;
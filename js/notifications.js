@@ -0,0 +1,297 @@
+// Notification Center
+class NotificationCenter {
+    constructor(options = {}) {
+        this.maxVisible = options.maxVisible || 3;
+        this.defaultDuration = options.duration !== undefined ? options.duration : 5000;
+        this.notifications = new Map();
+        this.visible = [];
+        this.queue = [];
+        this.nextId = 1;
+        this.container = null;
+        this.liveRegions = null;
+
+        this.icons = {
+            success: 'fas fa-check-circle',
+            error: 'fas fa-exclamation-circle',
+            warning: 'fas fa-exclamation-triangle',
+            info: 'fas fa-info-circle',
+            download: 'fas fa-download'
+        };
+    }
+
+    ensureContainer() {
+        if (this.container) return;
+
+        this.container = document.createElement('div');
+        this.container.className = 'notification-container';
+        this.container.setAttribute('role', 'region');
+        this.container.setAttribute('aria-label', window.i18n.t('notifications.region'));
+        window.i18n.onChange(() => {
+            this.container.setAttribute('aria-label', window.i18n.t('notifications.region'));
+        });
+
+        // Separate live regions so errors interrupt and everything else waits
+        this.liveRegions = {
+            polite: this.createLiveRegion('polite', 'status'),
+            assertive: this.createLiveRegion('assertive', 'alert')
+        };
+
+        document.body.appendChild(this.container);
+    }
+
+    createLiveRegion(politeness, role) {
+        const region = document.createElement('div');
+        region.className = 'sr-only';
+        region.setAttribute('role', role);
+        region.setAttribute('aria-live', politeness);
+        region.setAttribute('aria-atomic', 'true');
+        document.body.appendChild(region);
+        return region;
+    }
+
+    announce(message, type = 'info') {
+        this.ensureContainer();
+
+        const region = type === 'error' ? this.liveRegions.assertive : this.liveRegions.polite;
+
+        // Clear first so repeating the same message is announced again
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = message;
+        }, 50);
+    }
+
+    // Options: type, title, icon, duration (0 keeps it open), actions [{ label, onClick, dismiss }]
+    show(message, options = {}) {
+        const notification = {
+            id: this.nextId++,
+            message: String(message),
+            type: options.type || 'info',
+            title: options.title || '',
+            icon: options.icon || null,
+            duration: options.duration !== undefined ? options.duration : this.defaultDuration,
+            actions: options.actions || [],
+            onDismiss: options.onDismiss || null,
+            element: null,
+            timer: null,
+            remaining: 0,
+            startedAt: 0
+        };
+
+        this.notifications.set(notification.id, notification);
+
+        if (this.visible.length < this.maxVisible) {
+            this.display(notification);
+        } else {
+            this.queue.push(notification);
+        }
+
+        return this.createHandle(notification.id);
+    }
+
+    success(message, options = {}) {
+        return this.show(message, { ...options, type: 'success' });
+    }
+
+    error(message, options = {}) {
+        return this.show(message, { ...options, type: 'error' });
+    }
+
+    warning(message, options = {}) {
+        return this.show(message, { ...options, type: 'warning' });
+    }
+
+    info(message, options = {}) {
+        return this.show(message, { ...options, type: 'info' });
+    }
+
+    createHandle(id) {
+        return {
+            id,
+            update: (message, options) => this.update(id, message, options),
+            dismiss: () => this.dismiss(id)
+        };
+    }
+
+    display(notification) {
+        this.ensureContainer();
+
+        notification.element = this.render(notification);
+        this.container.appendChild(notification.element);
+        this.visible.push(notification);
+
+        requestAnimationFrame(() => {
+            notification.element.classList.add('show');
+        });
+
+        this.announce(notification.message, notification.type);
+        this.startTimer(notification, notification.duration);
+    }
+
+    render(notification) {
+        const element = document.createElement('div');
+        element.className = `notification notification-${notification.type}`;
+
+        const content = document.createElement('div');
+        content.className = 'notification-content';
+
+        const icon = document.createElement('i');
+        icon.className = notification.icon || this.icons[notification.type] || this.icons.info;
+        icon.setAttribute('aria-hidden', 'true');
+
+        const body = document.createElement('div');
+        body.className = 'notification-body';
+
+        if (notification.title) {
+            const title = document.createElement('strong');
+            title.className = 'notification-title';
+            title.textContent = notification.title;
+            body.appendChild(title);
+        }
+
+        const message = document.createElement('span');
+        message.className = 'notification-message';
+        message.textContent = notification.message;
+        body.appendChild(message);
+
+        if (notification.actions.length) {
+            body.appendChild(this.renderActions(notification));
+        }
+
+        const closeBtn = document.createElement('button');
+        closeBtn.type = 'button';
+        closeBtn.className = 'notification-close';
+        closeBtn.setAttribute('aria-label', window.i18n.t('notifications.close'));
+        closeBtn.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i>';
+        closeBtn.addEventListener('click', () => this.dismiss(notification.id));
+
+        content.append(icon, body, closeBtn);
+        element.appendChild(content);
+
+        // Pause while the user is reading or interacting
+        element.addEventListener('mouseenter', () => this.pauseTimer(notification));
+        element.addEventListener('mouseleave', () => this.resumeTimer(notification));
+        element.addEventListener('focusin', () => this.pauseTimer(notification));
+        element.addEventListener('focusout', () => this.resumeTimer(notification));
+
+        return element;
+    }
+
+    renderActions(notification) {
+        const actions = document.createElement('div');
+        actions.className = 'notification-actions';
+
+        notification.actions.forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'notification-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                if (action.onClick) {
+                    action.onClick();
+                }
+                if (action.dismiss !== false) {
+                    this.dismiss(notification.id);
+                }
+            });
+            actions.appendChild(button);
+        });
+
+        return actions;
+    }
+
+    update(id, message, options = {}) {
+        const notification = this.notifications.get(id);
+        if (!notification) return;
+
+        Object.assign(notification, options, { message: String(message) });
+
+        // Queued notifications render with the new values when displayed
+        if (!notification.element) return;
+
+        // A toast under the pointer or holding focus stays paused through the swap (see pauseTimer)
+        const hadFocus = notification.element.contains(document.activeElement);
+        const element = this.render(notification);
+        element.classList.add('show');
+        notification.element.replaceWith(element);
+        notification.element = element;
+
+        if (hadFocus) {
+            element.querySelector('.notification-close').focus();
+        }
+
+        this.announce(notification.message, notification.type);
+
+        if (options.duration !== undefined) {
+            this.startTimer(notification, options.duration);
+        }
+    }
+
+    startTimer(notification, duration) {
+        clearTimeout(notification.timer);
+        notification.timer = null;
+        notification.remaining = duration;
+
+        if (duration > 0 && !notification.paused) {
+            notification.startedAt = Date.now();
+            notification.timer = setTimeout(() => this.dismiss(notification.id), duration);
+        }
+    }
+
+    // The paused flag lives on the notification rather than the element, so update() keeps it
+    pauseTimer(notification) {
+        notification.paused = true;
+        if (!notification.timer) return;
+
+        clearTimeout(notification.timer);
+        notification.timer = null;
+        notification.remaining -= Date.now() - notification.startedAt;
+    }
+
+    resumeTimer(notification) {
+        notification.paused = false;
+        if (notification.timer || notification.remaining <= 0 || !this.notifications.has(notification.id)) return;
+
+        notification.startedAt = Date.now();
+        notification.timer = setTimeout(() => this.dismiss(notification.id), notification.remaining);
+    }
+
+    dismiss(id) {
+        const notification = this.notifications.get(id);
+        if (!notification) return;
+
+        clearTimeout(notification.timer);
+        this.notifications.delete(id);
+        this.queue = this.queue.filter(queued => queued !== notification);
+
+        if (notification.onDismiss) {
+            notification.onDismiss();
+        }
+
+        if (!notification.element) return;
+
+        this.visible = this.visible.filter(visible => visible !== notification);
+        notification.element.classList.remove('show');
+
+        setTimeout(() => {
+            notification.element.remove();
+        }, 300);
+
+        // Show the next queued notification
+        if (this.queue.length) {
+            this.display(this.queue.shift());
+        }
+    }
+
+    clear() {
+        Array.from(this.notifications.keys()).forEach(id => this.dismiss(id));
+    }
+}
+
+// Initialize notification center
+document.addEventListener('DOMContentLoaded', () => {
+    window.notificationCenter = new NotificationCenter();
+});
+
+// Export for use in other modules
+window.NotificationCenter = NotificationCenter;
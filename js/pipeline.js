@@ -0,0 +1,269 @@
+// Development Pipeline Timeline
+//
+// Candidates live in data/pipeline.json. Each row shows how far a candidate has come across the
+// stage columns; "from" marks a trial that spans several stages (e.g. a seamless Phase I/II) and
+// "progress" is how far it is through its current stage, in percent.
+class PipelineTimeline {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.url = options.url || './data/pipeline.json';
+        this.filter = options.filter || document.getElementById('pipeline-filter');
+        this.rowTemplate = options.rowTemplate || document.getElementById('pipeline-row-template');
+        this.stages = [];
+        this.candidates = [];
+        this.area = 'all';
+        this.expanded = new Set();
+        this.loaded = false;
+
+        this.init();
+    }
+
+    init() {
+        this.ready = this.load();
+
+        this.element.addEventListener('click', (e) => {
+            const button = e.target.closest('.pipeline-candidate');
+            if (button) {
+                this.toggle(button.closest('.pipeline-row').getAttribute('data-candidate'));
+            }
+        });
+
+        if (this.filter) {
+            this.filter.addEventListener('click', (e) => {
+                const button = e.target.closest('.filter-btn');
+                if (button) {
+                    this.setArea(button.getAttribute('data-area'));
+                }
+            });
+        }
+
+        window.i18n.onChange(() => this.render());
+    }
+
+    async load() {
+        try {
+            const response = await fetch(this.url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.stages = Array.isArray(data.stages) ? data.stages : [];
+            this.candidates = Array.isArray(data.candidates) ? data.candidates : [];
+        } catch (error) {
+            console.warn('Failed to load the development pipeline:', error);
+            this.candidates = [];
+        }
+
+        await window.i18n.ready;
+
+        this.loaded = true;
+        this.render();
+
+        return this.candidates;
+    }
+
+    // Plain text, or an object with one entry per locale: { "en": "…", "es": "…" }
+    localize(value) {
+        if (value && typeof value === 'object') {
+            return value[window.i18n.locale] || value[window.i18n.fallbackLocale] || '';
+        }
+
+        return value || '';
+    }
+
+    stageLabel(stage) {
+        return window.i18n.t(`products.stage.${stage}`, {}, stage);
+    }
+
+    areaLabel(area) {
+        return window.i18n.t(`products.area.${area}`, {}, area);
+    }
+
+    getAreas() {
+        return [...new Set(this.candidates.flatMap(candidate => candidate.therapeuticAreas || []))];
+    }
+
+    getVisibleCandidates() {
+        if (this.area === 'all') return this.candidates;
+
+        return this.candidates.filter(candidate => (candidate.therapeuticAreas || []).includes(this.area));
+    }
+
+    // Positions are percentages of the track, one equal column per stage
+    toView(candidate) {
+        const columns = this.stages.length || 1;
+        const current = Math.max(0, this.stages.indexOf(candidate.stage));
+        const from = this.stages.indexOf(candidate.from);
+        const first = from >= 0 && from < current ? from : current;
+        const progress = Math.min(100, Math.max(0, Number(candidate.progress) || 0));
+        const spanStart = (first / columns) * 100;
+        const spanEnd = ((current + 1) / columns) * 100;
+        const fill = ((current + progress / 100) / columns) * 100;
+
+        const stageLabel = first === current
+            ? this.stageLabel(candidate.stage)
+            : `${this.stageLabel(this.stages[first])}–${this.stageLabel(candidate.stage)}`;
+
+        return {
+            id: candidate.id,
+            detailId: `pipeline-detail-${candidate.id}`,
+            name: this.localize(candidate.name),
+            indication: this.localize(candidate.indication),
+            summary: this.localize(candidate.summary),
+            partner: this.localize(candidate.partner),
+            areas: (candidate.therapeuticAreas || []).map(area => this.areaLabel(area)).join(', '),
+            stageLabel,
+            spanStyle: `left: ${spanStart.toFixed(2)}%; width: ${(spanEnd - spanStart).toFixed(2)}%`,
+            fillStyle: `width: ${fill.toFixed(2)}%`,
+            milestones: (candidate.milestones || []).map(milestone => ({
+                title: this.localize(milestone.title),
+                date: milestone.date,
+                className: `pipeline-milestone ${milestone.completed ? 'is-completed' : 'is-expected'}`,
+                statusLabel: window.i18n.t(milestone.completed ? 'products.pipeline.completed' : 'products.pipeline.expected')
+            }))
+        };
+    }
+
+    render() {
+        if (!this.loaded) return;
+
+        this.renderFilter();
+        this.element.innerHTML = '';
+
+        if (!this.candidates.length) {
+            const message = document.createElement('p');
+            message.className = 'pipeline-empty';
+            message.textContent = window.i18n.t('products.pipeline.unavailable');
+            this.element.appendChild(message);
+            return;
+        }
+
+        this.element.style.setProperty('--pipeline-stages', this.stages.length);
+        this.element.appendChild(this.renderHeader());
+
+        const rows = document.createElement('ol');
+        rows.className = 'pipeline-rows';
+
+        this.getVisibleCandidates().forEach(candidate => {
+            rows.appendChild(this.renderRow(candidate));
+        });
+
+        this.element.appendChild(rows);
+
+        window.i18n.translatePage(this.element);
+        window.localeFormatter.renderDates(this.element);
+
+        if (window.scrollAnimations) {
+            window.scrollAnimations.observeProgressBars(this.element);
+        }
+    }
+
+    // The stage names are repeated in each row's button text, so the header is visual only
+    renderHeader() {
+        const header = document.createElement('div');
+        header.className = 'pipeline-header';
+        header.setAttribute('aria-hidden', 'true');
+
+        const stages = document.createElement('div');
+        stages.className = 'pipeline-header-stages';
+
+        this.stages.forEach(stage => {
+            const label = document.createElement('span');
+            label.className = 'pipeline-header-stage';
+            label.textContent = this.stageLabel(stage);
+            stages.appendChild(label);
+        });
+
+        header.appendChild(document.createElement('span'));
+        header.appendChild(stages);
+        return header;
+    }
+
+    renderRow(candidate) {
+        const row = TemplateRenderer.render(this.rowTemplate, this.toView(candidate));
+
+        if (this.expanded.has(candidate.id)) {
+            this.setExpanded(row, true);
+        }
+        return row;
+    }
+
+    renderFilter() {
+        if (!this.filter) return;
+
+        const areas = this.getAreas();
+        this.filter.innerHTML = '';
+
+        // A filter with one option would not filter anything
+        if (areas.length < 2) return;
+
+        if (this.area !== 'all' && !areas.includes(this.area)) {
+            this.area = 'all';
+        }
+
+        [['all', window.i18n.t('products.pipeline.allAreas'), this.candidates.length]]
+            .concat(areas.map(area => [
+                area,
+                this.areaLabel(area),
+                this.candidates.filter(candidate => (candidate.therapeuticAreas || []).includes(area)).length
+            ]))
+            .forEach(([area, label, count]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'filter-btn';
+                button.setAttribute('data-area', area);
+                button.setAttribute('aria-pressed', String(area === this.area));
+                button.classList.toggle('active', area === this.area);
+                button.textContent = `${label} (${window.localeFormatter.formatNumber(count)})`;
+                this.filter.appendChild(button);
+            });
+    }
+
+    setArea(area) {
+        if (!area || area === this.area) return;
+
+        this.area = area;
+        window.analytics.track('filter_select', { filter: 'pipeline', value: area });
+        this.render();
+
+        // The buttons were rebuilt, so put focus back on the one that was pressed
+        const button = this.filter.querySelector(`[data-area="${CSS.escape(area)}"]`);
+        if (button) {
+            button.focus();
+        }
+    }
+
+    toggle(id) {
+        const row = this.element.querySelector(`.pipeline-row[data-candidate="${CSS.escape(id)}"]`);
+        if (!row) return;
+
+        const expand = !this.expanded.has(id);
+
+        if (expand) {
+            this.expanded.add(id);
+            window.analytics.track('pipeline_expand', { candidate: id });
+        } else {
+            this.expanded.delete(id);
+        }
+
+        this.setExpanded(row, expand);
+    }
+
+    setExpanded(row, expanded) {
+        row.classList.toggle('expanded', expanded);
+        row.querySelector('.pipeline-candidate').setAttribute('aria-expanded', String(expanded));
+        row.querySelector('.pipeline-detail').hidden = !expanded;
+    }
+}
+
+// Initialize on DOM load
+document.addEventListener('DOMContentLoaded', () => {
+    const element = document.getElementById('pipeline-timeline');
+    if (element) {
+        window.pipelineTimeline = new PipelineTimeline(element);
+    }
+});
+
+// Export for use in other modules
+window.PipelineTimeline = PipelineTimeline;
@@ -0,0 +1,146 @@
+// Product Catalogue
+//
+// Products live in data/products.json; the grid cards and the details modal are rendered
+// from the #product-card-template and #product-detail-template elements in index.html.
+class ProductCatalogue {
+    constructor(options = {}) {
+        this.url = options.url || './data/products.json';
+        this.grid = options.grid || document.getElementById('products-grid');
+        this.cardTemplate = options.cardTemplate || document.getElementById('product-card-template');
+        this.detailTemplate = options.detailTemplate || document.getElementById('product-detail-template');
+        this.products = [];
+        this.loaded = false;
+
+        this.init();
+    }
+
+    init() {
+        // Resolves with the products once they have been rendered
+        this.ready = this.load();
+
+        window.i18n.onChange(() => this.renderGrid());
+    }
+
+    async load() {
+        try {
+            const response = await fetch(this.url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.products = Array.isArray(data.products) ? data.products : [];
+        } catch (error) {
+            console.warn('Failed to load the product catalogue:', error);
+            this.products = [];
+        }
+
+        // Render once the visitor's language bundle is in
+        await window.i18n.ready;
+
+        this.loaded = true;
+        this.renderGrid();
+
+        return this.products;
+    }
+
+    get(id) {
+        return this.products.find(product => product.id === id) || null;
+    }
+
+    // Text is either plain English, translated through the products.details.<id>.<field> keys
+    // of the locale bundles, or an object with one entry per locale: { "en": "…", "es": "…" }
+    localize(value, key) {
+        if (value && typeof value === 'object') {
+            return value[window.i18n.locale] || value[window.i18n.fallbackLocale] || '';
+        }
+
+        return key ? window.i18n.t(key, {}, value || '') : (value || '');
+    }
+
+    // Label for a coded value such as a stage or species id: products.<group>.<id>
+    label(group, id) {
+        return window.i18n.t(`products.${group}.${id}`, {}, id);
+    }
+
+    // Flattens a product into what the templates bind against
+    toView(product) {
+        const key = (field) => `products.details.${product.id}.${field}`;
+        const title = this.localize(product.title, key('title'));
+        const images = (product.images || []).map(image => ({
+            src: image.src,
+            thumbnail: image.thumbnail || image.src,
+            alt: this.localize(image.alt) || title
+        }));
+
+        return {
+            id: product.id,
+            category: [].concat(product.category || []).join(' '),
+            title,
+            summary: this.localize(product.summary, key('summary')),
+            heading: this.localize(product.heading, key('heading')),
+            intro: this.localize(product.intro, key('intro')),
+            image: images[0] || null,
+            images,
+            tags: product.tags || [],
+            stage: product.stage || '',
+            stageLabel: product.stage ? this.label('stage', product.stage) : '',
+            species: (product.species || []).map(species => this.label('species', species)),
+            indications: (product.indications || []).map(indication => this.localize(indication)),
+            sections: (product.sections || []).map(section => ({
+                title: this.localize(section.title, section.key && `products.details.labels.${section.key}`),
+                items: (section.items || []).map(item => item && (item.name || item.description)
+                    ? { name: this.localize(item.name), description: this.localize(item.description) }
+                    : { name: '', description: this.localize(item) })
+            })),
+            documents: (product.documents || []).map(file => ({
+                title: this.localize(file.title),
+                url: file.url
+            }))
+        };
+    }
+
+    renderGrid() {
+        if (!this.grid || !this.loaded) return;
+
+        this.grid.innerHTML = '';
+
+        if (!this.products.length) {
+            const message = document.createElement('p');
+            message.className = 'products-empty';
+            message.textContent = window.i18n.t('products.catalogue.unavailable');
+            this.grid.appendChild(message);
+        }
+
+        this.products.forEach(product => {
+            this.grid.appendChild(this.renderCard(product));
+        });
+
+        window.i18n.translatePage(this.grid);
+
+        if (window.lazyLoader) {
+            window.lazyLoader.observeNewImages();
+        }
+
+        // Lets the filters re-apply themselves to the new cards
+        this.grid.dispatchEvent(new CustomEvent('catalogue:render', { detail: { catalogue: this } }));
+    }
+
+    renderCard(product) {
+        return TemplateRenderer.render(this.cardTemplate, this.toView(product));
+    }
+
+    renderDetail(product) {
+        const element = TemplateRenderer.render(this.detailTemplate, this.toView(product));
+        window.i18n.translatePage(element);
+        return element;
+    }
+}
+
+// Initialize before main.js wires the product modal to it
+document.addEventListener('DOMContentLoaded', () => {
+    window.productCatalogue = new ProductCatalogue();
+});
+
+// Export for use in other modules
+window.ProductCatalogue = ProductCatalogue;
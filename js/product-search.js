@@ -0,0 +1,354 @@
+// Faceted Product Search
+//
+// Multi-select facets (any value within a facet, every facet with a selection) and free-text
+// search over the product catalogue. The state maps to a URL query such as
+// ?q=vaccine&species=cattle,sheep&stage=marketed so filtered views can be shared.
+class ProductSearch {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.catalogue = options.catalogue || window.productCatalogue;
+        this.grid = options.grid || document.getElementById('products-grid');
+        this.noResults = options.noResults || document.getElementById('products-no-results');
+        this.onChange = options.onChange || (() => {});
+        this.input = container.querySelector('[data-search-input]');
+        this.facetList = container.querySelector('[data-search-facets]');
+        this.status = container.querySelector('[data-search-status]');
+        this.searchDelay = options.searchDelay || 250;
+        this.searchTimer = null;
+
+        // The facet name doubles as its URL parameter and its products.<name>.<id> label group
+        this.facets = [
+            { name: 'category', values: product => [].concat(product.category || []) },
+            { name: 'species', values: product => product.species || [] },
+            {
+                name: 'stage',
+                values: product => product.stage ? [product.stage] : [],
+                order: ['discovery', 'preclinical', 'phase-1', 'phase-2', 'phase-3', 'registration', 'marketed']
+            },
+            { name: 'area', values: product => product.therapeuticAreas || [] }
+        ];
+
+        this.text = '';
+        this.selected = this.createSelection();
+
+        this.init();
+    }
+
+    init() {
+        this.input.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => {
+                this.text = this.input.value.trim();
+                this.update();
+
+                if (this.text) {
+                    window.analytics.track('search', { scope: 'products', results: this.getResults().length });
+                }
+            }, this.searchDelay);
+        });
+
+        this.facetList.addEventListener('change', (e) => {
+            const checkbox = e.target.closest('input[type="checkbox"]');
+            if (!checkbox) return;
+
+            const values = this.selected[checkbox.name];
+            if (checkbox.checked) {
+                values.add(checkbox.value);
+            } else {
+                values.delete(checkbox.value);
+            }
+
+            window.analytics.track('filter_select', {
+                filter: 'products',
+                facet: checkbox.name,
+                value: checkbox.value,
+                selected: checkbox.checked
+            });
+            this.update();
+        });
+
+        const clearButtons = [this.container, this.noResults]
+            .filter(Boolean)
+            .flatMap(element => Array.from(element.querySelectorAll('[data-search-clear]')));
+
+        clearButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.clear();
+                this.input.focus();
+            });
+        });
+
+        // The catalogue re-renders its cards once loaded and after a language switch
+        this.grid.addEventListener('catalogue:render', () => {
+            this.renderFacets();
+            this.apply();
+        });
+    }
+
+    createSelection() {
+        return Object.fromEntries(this.facets.map(facet => [facet.name, new Set()]));
+    }
+
+    isActive() {
+        return Boolean(this.text) || Object.values(this.selected).some(values => values.size > 0);
+    }
+
+    // Only non-empty parameters, so an unfiltered view keeps a clean URL
+    getQuery() {
+        const query = {};
+
+        if (this.text) {
+            query.q = this.text;
+        }
+
+        this.facets.forEach(({ name }) => {
+            if (this.selected[name].size) {
+                query[name] = Array.from(this.selected[name]).join(',');
+            }
+        });
+
+        return query;
+    }
+
+    // Restores the state from a route's query without reporting it back through onChange
+    setQuery(query = {}) {
+        clearTimeout(this.searchTimer);
+
+        const text = (query.q || '').trim();
+        const selected = this.createSelection();
+
+        this.facets.forEach(({ name }) => {
+            (query[name] || '').split(',').filter(Boolean).forEach(value => selected[name].add(value));
+        });
+
+        const current = new URLSearchParams(this.getQuery()).toString();
+        this.text = text;
+        this.selected = selected;
+
+        if (new URLSearchParams(this.getQuery()).toString() === current) return;
+
+        this.input.value = text;
+        this.renderFacets();
+        this.apply();
+    }
+
+    clear() {
+        clearTimeout(this.searchTimer);
+        this.text = '';
+        this.input.value = '';
+        this.selected = this.createSelection();
+        this.renderFacets();
+        this.update();
+    }
+
+    update() {
+        this.updateFacets();
+        this.apply();
+        this.onChange(this.getQuery());
+    }
+
+    getTerms() {
+        return this.text.toLocaleLowerCase().split(/\s+/).filter(Boolean);
+    }
+
+    // Everything a visitor might type: names, tags, species, indications and facet labels
+    getSearchText(product) {
+        const view = this.catalogue.toView(product);
+        const labels = this.facets.flatMap(facet => {
+            return facet.values(product).map(value => this.catalogue.label(facet.name, value));
+        });
+
+        return [view.title, view.summary, ...view.tags, ...view.species, ...view.indications, ...labels]
+            .join(' ')
+            .toLocaleLowerCase();
+    }
+
+    // ignoreFacet leaves one facet out, which is how each facet's counts are worked out
+    matches(product, ignoreFacet = null) {
+        const matchesFacets = this.facets.every(facet => {
+            const selected = this.selected[facet.name];
+            if (facet.name === ignoreFacet || !selected.size) return true;
+
+            return facet.values(product).some(value => selected.has(value));
+        });
+
+        if (!matchesFacets) return false;
+
+        const terms = this.getTerms();
+        if (!terms.length) return true;
+
+        const text = this.getSearchText(product);
+        return terms.every(term => text.includes(term));
+    }
+
+    getResults() {
+        return this.catalogue.products.filter(product => this.matches(product));
+    }
+
+    // Every value present in the catalogue, with the number of results ticking it would give
+    getFacetValues(facet) {
+        const products = this.catalogue.products;
+        const candidates = products.filter(product => this.matches(product, facet.name));
+        let values = [...new Set(products.flatMap(product => facet.values(product)))];
+
+        if (facet.order) {
+            values = values.sort((a, b) => facet.order.indexOf(a) - facet.order.indexOf(b));
+        }
+
+        return values.map(value => ({
+            value,
+            label: this.catalogue.label(facet.name, value),
+            count: candidates.filter(product => facet.values(product).includes(value)).length
+        }));
+    }
+
+    renderFacets() {
+        if (!this.catalogue.loaded) return;
+
+        this.facetList.innerHTML = '';
+
+        this.facets.forEach(facet => {
+            const values = this.getFacetValues(facet);
+            if (!values.length) return;
+
+            const fieldset = document.createElement('fieldset');
+            fieldset.className = 'product-facet';
+
+            const legend = document.createElement('legend');
+            legend.textContent = window.i18n.t(`products.facets.${facet.name}`);
+            fieldset.appendChild(legend);
+
+            const options = document.createElement('div');
+            options.className = 'product-facet-options';
+
+            values.forEach(({ value, label }) => {
+                const option = document.createElement('label');
+                option.className = 'filter-btn facet-option';
+                option.innerHTML = `
+                    <input type="checkbox" class="sr-only">
+                    <span class="facet-label"></span>
+                    <span class="facet-count"></span>
+                `;
+
+                const checkbox = option.querySelector('input');
+                checkbox.name = facet.name;
+                checkbox.value = value;
+                option.querySelector('.facet-label').textContent = label;
+
+                options.appendChild(option);
+            });
+
+            fieldset.appendChild(options);
+            this.facetList.appendChild(fieldset);
+        });
+
+        this.updateFacets();
+    }
+
+    // Counts and checked states change in place, so keyboard focus stays on the checkbox
+    updateFacets() {
+        if (!this.catalogue.loaded) return;
+
+        this.facets.forEach(facet => {
+            this.getFacetValues(facet).forEach(({ value, count }) => {
+                const checkbox = this.facetList.querySelector(
+                    `input[name="${facet.name}"][value="${CSS.escape(value)}"]`
+                );
+                if (!checkbox) return;
+
+                const option = checkbox.closest('.facet-option');
+                checkbox.checked = this.selected[facet.name].has(value);
+                checkbox.disabled = count === 0 && !checkbox.checked;
+                option.classList.toggle('active', checkbox.checked);
+                option.classList.toggle('disabled', checkbox.disabled);
+                option.querySelector('.facet-count').textContent = count;
+            });
+        });
+    }
+
+    apply() {
+        if (!this.catalogue.loaded) return;
+
+        const results = new Set(this.getResults().map(product => product.id));
+        const terms = this.getTerms();
+
+        this.grid.querySelectorAll('.product-card').forEach(card => {
+            if (results.has(card.getAttribute('data-product'))) {
+                card.classList.remove('hidden');
+                card.style.display = 'block';
+            } else {
+                card.classList.add('hidden');
+                setTimeout(() => {
+                    // It may have matched again while fading out
+                    if (card.classList.contains('hidden')) {
+                        card.style.display = 'none';
+                    }
+                }, 300);
+            }
+
+            card.querySelectorAll('.product-content h4, .product-content p, .product-tags .tag').forEach(element => {
+                ProductSearch.highlight(element, terms);
+            });
+        });
+
+        const hasProducts = this.catalogue.products.length > 0;
+
+        if (this.noResults) {
+            this.noResults.hidden = !hasProducts || results.size > 0;
+        }
+
+        this.container.querySelectorAll('[data-search-clear]').forEach(button => {
+            button.hidden = !this.isActive();
+        });
+
+        this.renderStatus(hasProducts ? results.size : null);
+    }
+
+    renderStatus(count) {
+        let message = '';
+
+        if (count !== null && this.isActive()) {
+            message = this.text
+                ? window.i18n.t('products.search.resultsFor', { count, query: this.text })
+                : window.i18n.t('products.search.results', { count });
+        }
+
+        // Only touch the live region when the message changes, so it is not announced twice
+        if (this.status.textContent !== message) {
+            this.status.textContent = message;
+        }
+    }
+
+    // Wraps each occurrence of the terms in <mark>; the element must only hold text
+    static highlight(element, terms) {
+        const text = element.textContent;
+        element.textContent = text;
+
+        if (!terms.length || !text) return;
+
+        const pattern = new RegExp(`(${terms.map(ProductSearch.escapeRegExp).join('|')})`, 'gi');
+        const parts = text.split(pattern);
+        if (parts.length === 1) return;
+
+        element.textContent = '';
+        parts.forEach((part, index) => {
+            if (!part) return;
+
+            // split() puts the captured matches at the odd indexes
+            if (index % 2 === 1) {
+                const mark = document.createElement('mark');
+                mark.textContent = part;
+                element.appendChild(mark);
+            } else {
+                element.appendChild(document.createTextNode(part));
+            }
+        });
+    }
+
+    static escapeRegExp(value) {
+        return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+// Export for use in other modules
+window.ProductSearch = ProductSearch;
@@ -0,0 +1,229 @@
+// Client-side Router
+class Router {
+    constructor(options = {}) {
+        const dataset = document.body ? document.body.dataset : {};
+
+        this.mode = options.mode || dataset.routerMode || 'hash';
+        this.base = (options.base || dataset.routerBase || '').replace(/\/$/, '');
+        this.defaultPage = options.defaultPage || 'home';
+        this.pages = options.pages ||
+            Array.from(document.querySelectorAll('.page')).map(page => page.id);
+        this.onRouteChange = options.onRouteChange || (() => {});
+        this.currentRoute = null;
+        this.sharedQuery = {};
+        this.hooks = {
+            beforeLeave: [],
+            beforeEnter: [],
+            afterEnter: []
+        };
+
+        this.handleLocationChange = this.handleLocationChange.bind(this);
+    }
+
+    start() {
+        window.addEventListener('popstate', this.handleLocationChange);
+
+        if (this.mode === 'hash') {
+            window.addEventListener('hashchange', this.handleLocationChange);
+        }
+
+        // Restore the page from the URL on load
+        const route = this.getCurrentRoute();
+        this.currentRoute = route;
+        this.onRouteChange(route, { initial: true });
+    }
+
+    stop() {
+        window.removeEventListener('popstate', this.handleLocationChange);
+        window.removeEventListener('hashchange', this.handleLocationChange);
+    }
+
+    handleLocationChange() {
+        const route = this.getCurrentRoute();
+
+        // popstate and hashchange both fire for hash navigation
+        if (this.isSameRoute(route, this.currentRoute)) return;
+
+        this.currentRoute = route;
+        this.onRouteChange(route, { initial: false });
+    }
+
+    getCurrentPath() {
+        if (this.mode === 'history') {
+            const path = window.location.pathname;
+            return path.startsWith(this.base) ? path.slice(this.base.length) : path;
+        }
+
+        return window.location.hash;
+    }
+
+    getCurrentRoute() {
+        return this.match(this.getCurrentPath()) || this.createRoute(this.defaultPage);
+    }
+
+    // Parses "#contact/faq", "/contact/faq" or "contact/faq?x=1" into a route
+    parse(path) {
+        const [pathPart, queryPart = ''] = (path || '').split('?');
+        let segments;
+
+        // A malformed escape such as "%E0%A4" leaves the route unmatched
+        try {
+            segments = pathPart
+                .replace(/^[#/]+/, '')
+                .split('/')
+                .filter(Boolean)
+                .map(segment => decodeURIComponent(segment));
+        } catch (error) {
+            segments = [];
+        }
+
+        return {
+            page: segments[0] || null,
+            section: segments[1] || null,
+            params: segments.slice(2),
+            query: Object.fromEntries(new URLSearchParams(queryPart))
+        };
+    }
+
+    // Returns null when the path does not point at a known page
+    match(path) {
+        const route = this.parse(path);
+        return this.isPage(route.page) ? route : null;
+    }
+
+    isPage(pageId) {
+        return this.pages.includes(pageId);
+    }
+
+    createRoute(page, section = null, params = [], query = {}) {
+        return { page, section, params, query };
+    }
+
+    buildPath(route) {
+        const segments = [route.page, route.section, ...(route.params || [])]
+            .filter(Boolean)
+            .map(segment => encodeURIComponent(segment));
+        const query = new URLSearchParams(route.query || {}).toString();
+        const path = segments.join('/') + (query ? `?${query}` : '');
+
+        if (this.mode === 'history') {
+            return `${this.base}/${path}${window.location.hash}`;
+        }
+
+        return `${window.location.pathname}${window.location.search}#${path}`;
+    }
+
+    // Query parameters carried over to every navigation, e.g. the language; null removes one
+    setSharedQuery(name, value) {
+        if (value === null || value === undefined) {
+            delete this.sharedQuery[name];
+        } else {
+            this.sharedQuery[name] = value;
+        }
+    }
+
+    // Updates the URL without notifying onRouteChange
+    navigate(page, section = null, options = {}) {
+        const route = this.createRoute(page, section, options.params, { ...options.query, ...this.sharedQuery });
+
+        if (this.isSameRoute(route, this.currentRoute) && !options.force) return;
+
+        const url = this.buildPath(route);
+        // Replacing keeps what the page stored on its entry (e.g. NewsFeed's newsPages) through URL tweaks
+        // like a language switch; a new entry or another page starts clean
+        const keepState = options.replace && this.currentRoute && this.currentRoute.page === route.page;
+        const state = keepState ? { ...window.history.state, route } : { route };
+        window.history[options.replace ? 'replaceState' : 'pushState'](state, '', url);
+
+        this.currentRoute = route;
+    }
+
+    // Lifecycle hooks, registered per page id or '*' for every page
+    addHook(type, pageId, handler) {
+        if (!this.hooks[type]) {
+            throw new Error(`Unknown route hook: ${type}`);
+        }
+
+        const entry = { pageId, handler };
+        this.hooks[type].push(entry);
+
+        // Unregister function
+        return () => {
+            this.hooks[type] = this.hooks[type].filter(hook => hook !== entry);
+        };
+    }
+
+    beforeLeave(pageId, handler) {
+        return this.addHook('beforeLeave', pageId, handler);
+    }
+
+    beforeEnter(pageId, handler) {
+        return this.addHook('beforeEnter', pageId, handler);
+    }
+
+    afterEnter(pageId, handler) {
+        return this.addHook('afterEnter', pageId, handler);
+    }
+
+    getHooks(type, pageId) {
+        return this.hooks[type]
+            .filter(hook => hook.pageId === '*' || hook.pageId === pageId)
+            .map(hook => hook.handler);
+    }
+
+    // Runs beforeLeave guards of the current page, then beforeEnter guards of the target.
+    // A guard vetoes by returning false and redirects by returning a path or route.
+    async resolveTransition(to, from) {
+        const guards = [
+            ...(from ? this.getHooks('beforeLeave', from.page) : []),
+            ...this.getHooks('beforeEnter', to.page)
+        ];
+
+        for (const guard of guards) {
+            let result;
+
+            try {
+                result = await guard(to, from);
+            } catch (error) {
+                console.error('Route guard failed:', error);
+                return { allowed: false, redirect: null };
+            }
+
+            if (result === false) {
+                return { allowed: false, redirect: null };
+            }
+
+            if (typeof result === 'string') {
+                return { allowed: false, redirect: this.match(result) };
+            }
+
+            if (result && result.page) {
+                return { allowed: false, redirect: this.createRoute(result.page, result.section) };
+            }
+        }
+
+        return { allowed: true, redirect: null };
+    }
+
+    async runAfterEnter(to, from) {
+        for (const hook of this.getHooks('afterEnter', to.page)) {
+            try {
+                await hook(to, from);
+            } catch (error) {
+                console.error('afterEnter hook failed:', error);
+            }
+        }
+    }
+
+    isSameRoute(a, b) {
+        if (!a || !b) return false;
+
+        return a.page === b.page &&
+            a.section === b.section &&
+            (a.params || []).join('/') === (b.params || []).join('/') &&
+            new URLSearchParams(a.query || {}).toString() === new URLSearchParams(b.query || {}).toString();
+    }
+}
+
+// Export for use in other modules
+window.Router = Router;
@@ -0,0 +1,80 @@
+// HTML Template Rendering
+//
+// Fills a <template> clone from data using attributes, so markup can change without touching JS:
+//   data-bind="title"                  text content
+//   data-bind-attr="src:image.src;alt:image.alt"
+//   data-if="documents"                element is dropped when the value is empty
+//   data-each="tags"                   first child is repeated per entry; "." binds the entry itself
+class TemplateRenderer {
+    static render(template, data) {
+        const element = template.content.firstElementChild.cloneNode(true);
+        TemplateRenderer.fill(element, data);
+        return element;
+    }
+
+    static fill(root, data) {
+        // Lists first, outermost first: their items bind against each entry rather than data
+        let list;
+        while ((list = TemplateRenderer.query(root, '[data-each]')[0])) {
+            const items = TemplateRenderer.resolve(data, list.getAttribute('data-each'));
+            const itemTemplate = list.firstElementChild;
+
+            list.removeAttribute('data-each');
+            list.innerHTML = '';
+
+            [].concat(items || []).forEach(item => {
+                const element = itemTemplate.cloneNode(true);
+                TemplateRenderer.fill(element, item);
+                list.appendChild(element);
+            });
+        }
+
+        TemplateRenderer.query(root, '[data-if]').forEach(element => {
+            if (TemplateRenderer.isEmpty(TemplateRenderer.resolve(data, element.getAttribute('data-if')))) {
+                element.remove();
+            } else {
+                element.removeAttribute('data-if');
+            }
+        });
+
+        TemplateRenderer.query(root, '[data-bind]').forEach(element => {
+            const value = TemplateRenderer.resolve(data, element.getAttribute('data-bind'));
+            element.textContent = value === undefined || value === null ? '' : value;
+            element.removeAttribute('data-bind');
+        });
+
+        TemplateRenderer.query(root, '[data-bind-attr]').forEach(element => {
+            element.getAttribute('data-bind-attr').split(';').forEach(pair => {
+                const [name, path] = pair.split(':').map(part => part.trim());
+                const value = name && path ? TemplateRenderer.resolve(data, path) : undefined;
+
+                if (value !== undefined && value !== null) {
+                    element.setAttribute(name, value);
+                }
+            });
+            element.removeAttribute('data-bind-attr');
+        });
+    }
+
+    // Matches the root itself as well as its descendants
+    static query(root, selector) {
+        const elements = Array.from(root.querySelectorAll(selector));
+        return root.matches(selector) ? [root, ...elements] : elements;
+    }
+
+    static resolve(data, path) {
+        if (path === '.') return data;
+
+        return path.split('.').reduce((value, key) => {
+            return value === undefined || value === null ? undefined : value[key];
+        }, data);
+    }
+
+    static isEmpty(value) {
+        return value === undefined || value === null || value === '' || value === false ||
+            (Array.isArray(value) && value.length === 0);
+    }
+}
+
+// Export for use in other modules
+window.TemplateRenderer = TemplateRenderer;
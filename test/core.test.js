@@ -0,0 +1,222 @@
+// Unit tests for the pieces that run without a browser.
+//
+//   node --test test/
+//
+// The site's scripts are plain browser scripts, so each test loads them into a fresh vm context
+// with just enough of window/document for their constructors.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({
+        console,
+        setTimeout,
+        clearTimeout,
+        URL,
+        URLSearchParams,
+        TextEncoder,
+        Blob,
+        crypto: crypto.webcrypto,
+        navigator: { onLine: true },
+        location: { pathname: '/', search: '', hash: '' },
+        localStorage: { getItem: () => null, setItem() {}, removeItem() {} },
+        document: { addEventListener() {}, querySelectorAll: () => [] },
+        addEventListener() {},
+        ...globals
+    });
+    context.window = context;
+
+    files.forEach(file => {
+        const filename = path.join(ROOT, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+
+    return context;
+}
+
+// Objects from the vm context have that realm's prototypes, which deepEqual would compare
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// Same rule as SpamGuard.createProofOfWork, solved synchronously
+function solve(challenge, difficulty) {
+    const { isValidProofOfWork } = require('../dev/stub-server.js');
+
+    for (let nonce = 0; ; nonce++) {
+        const token = { challenge, nonce, difficulty };
+        if (isValidProofOfWork(token)) return token;
+    }
+}
+
+test('Router.parse splits page, section, params and query', () => {
+    const { Router } = loadScripts(['js/router.js']);
+    const router = new Router({ pages: ['home', 'news', 'products'] });
+
+    assert.deepEqual(plain(router.parse('#news/my-article?lang=hi')), {
+        page: 'news',
+        section: 'my-article',
+        params: [],
+        query: { lang: 'hi' }
+    });
+    assert.deepEqual(plain(router.parse('/products/vaccines/a%20b/c').params), ['a b', 'c']);
+    assert.equal(router.parse('').page, null);
+});
+
+test('Router.parse leaves malformed escapes and unknown pages unmatched', () => {
+    const { Router } = loadScripts(['js/router.js']);
+    const router = new Router({ pages: ['home', 'news'] });
+
+    assert.equal(router.parse('#news/%E0%A4').page, null);
+    assert.equal(router.match('#news/%E0%A4'), null);
+    assert.equal(router.match('#unknown'), null);
+    assert.equal(router.match('#news').page, 'news');
+});
+
+test('Router.buildPath writes hash and history URLs that parse back to the same route', () => {
+    const { Router } = loadScripts(['js/router.js']);
+    const hash = new Router({ pages: ['news'] });
+    const history = new Router({ pages: ['news'], mode: 'history', base: '/site/' });
+    const route = hash.createRoute('news', 'a b/c', [], { lang: 'hi' });
+
+    assert.equal(hash.buildPath(route), '/#news/a%20b%2Fc?lang=hi');
+    assert.equal(history.buildPath(route), '/site/news/a%20b%2Fc?lang=hi');
+    assert.deepEqual(plain(hash.parse(hash.buildPath(route))), plain(route));
+});
+
+test('SubmissionOutbox.isRetryable only retries connection and server failures', () => {
+    const context = loadScripts(['js/form-transports.js', 'js/form-drafts.js', 'js/form-outbox.js']);
+    const { SubmissionOutbox, SubmissionError } = context;
+    const retryable = options => SubmissionOutbox.isRetryable(new SubmissionError('failed', options));
+
+    assert.equal(retryable({ code: 'network' }), true);
+    assert.equal(retryable({ code: 'timeout' }), true);
+    assert.equal(retryable({ status: 503 }), true);
+    assert.equal(retryable({ status: 400 }), false);
+    assert.equal(retryable({ status: 422 }), false);
+    assert.equal(retryable({ code: 'config' }), false);
+
+    context.navigator.onLine = false;
+    assert.equal(retryable({ status: 400 }), true);
+});
+
+test('SubmissionOutbox solves a fresh proof-of-work token for every delivery', async () => {
+    const context = loadScripts([
+        'js/form-transports.js',
+        'js/form-drafts.js',
+        'js/form-spam.js',
+        'js/form-outbox.js'
+    ]);
+    const sent = [];
+    const transport = {
+        send: async ({ data }) => {
+            sent.push(data);
+            if (sent.length === 1) throw new context.SubmissionError('Offline', { code: 'network' });
+            return {};
+        }
+    };
+    const outbox = new context.SubmissionOutbox({
+        transports: new Map([['http', transport]]),
+        store: { load: async () => null, save: async () => {}, remove() {} },
+        spamGuard: new context.SpamGuard()
+    });
+    await outbox.ready;
+
+    const entry = outbox.enqueue({
+        idempotencyKey: 'key',
+        formId: 'contact-form',
+        formType: 'contact',
+        request: { transport: 'http' },
+        data: { name: 'Ada' },
+        proofOfWork: { difficulty: 4 }
+    });
+    clearTimeout(outbox.timer);
+
+    assert.equal('_proofOfWork' in entry.data, false);
+
+    await outbox.deliver(entry);
+    await outbox.deliver(entry);
+    clearTimeout(outbox.timer);
+
+    assert.equal(sent.length, 2);
+    assert.notEqual(sent[0]._proofOfWork.challenge, sent[1]._proofOfWork.challenge);
+    assert.equal(outbox.getPending().length, 0);
+});
+
+test('checkProofOfWork accepts a client-built challenge once', () => {
+    const { checkProofOfWork, POW_DIFFICULTY } = require('../dev/stub-server.js');
+    const token = solve(`contact-form:${Date.now()}:once`, POW_DIFFICULTY);
+
+    assert.equal(checkProofOfWork(token), null);
+    assert.match(checkProofOfWork(token), /already been used/);
+});
+
+test('checkProofOfWork rejects stale, easy, wrong and missing tokens', () => {
+    const { checkProofOfWork, POW_DIFFICULTY, POW_MAX_AGE } = require('../dev/stub-server.js');
+
+    const stale = solve(`contact-form:${Date.now() - POW_MAX_AGE - 1000}:stale`, POW_DIFFICULTY);
+    assert.match(checkProofOfWork(stale), /expired/);
+
+    const easy = solve(`contact-form:${Date.now()}:easy`, 1);
+    if (POW_DIFFICULTY > 1) {
+        assert.equal(checkProofOfWork(easy), 'Invalid proof of work.');
+    }
+
+    const wrong = solve(`contact-form:${Date.now()}:wrong`, POW_DIFFICULTY);
+    assert.equal(checkProofOfWork({ ...wrong, challenge: `${wrong.challenge}x` }), 'Invalid proof of work.');
+
+    assert.equal(checkProofOfWork(undefined), 'Invalid proof of work.');
+});
+
+test('checkProofOfWork accepts an issued challenge once and nothing it did not issue', () => {
+    const { checkProofOfWork, handleChallenge, POW_DIFFICULTY } = require('../dev/stub-server.js');
+    let body = '';
+    handleChallenge({ method: 'GET' }, { writeHead() {}, end: chunk => { body = chunk; } }, 'contact-form');
+
+    const issued = JSON.parse(body);
+    assert.equal(issued.difficulty, POW_DIFFICULTY);
+
+    const token = solve(issued.challenge, issued.difficulty);
+    assert.equal(checkProofOfWork(token), null);
+    assert.match(checkProofOfWork(token), /unknown or has expired/);
+
+    const forged = solve('contact-form:0123456789abcdef', POW_DIFFICULTY);
+    assert.match(checkProofOfWork(forged), /unknown or has expired/);
+});
+
+test('MarkdownRenderer.parse reads front matter', () => {
+    const { MarkdownRenderer } = loadScripts(['js/markdown.js']);
+    const { meta, body } = MarkdownRenderer.parse('---\r\ntitle: "Hello: world"\r\ndate: 2024-01-02\r\n---\r\nBody');
+
+    assert.deepEqual(plain(meta), { title: 'Hello: world', date: '2024-01-02' });
+    assert.equal(body, 'Body');
+    assert.deepEqual(plain(MarkdownRenderer.parse('No front matter')), { meta: {}, body: 'No front matter' });
+});
+
+test('MarkdownRenderer.render renders blocks below the page h1 and escapes HTML', () => {
+    const { MarkdownRenderer } = loadScripts(['js/markdown.js']);
+
+    assert.equal(MarkdownRenderer.render('# Title\nText'), '<h2>Title</h2>\n<p>Text</p>');
+    assert.equal(MarkdownRenderer.render('### Small'), '<h3>Small</h3>');
+    assert.equal(MarkdownRenderer.render('- a\n- b'), '<ul><li>a</li><li>b</li></ul>');
+    assert.equal(MarkdownRenderer.render('1. a\n2. b'), '<ol><li>a</li><li>b</li></ol>');
+    assert.equal(MarkdownRenderer.render('> quoted'), '<blockquote><p>quoted</p></blockquote>');
+    assert.equal(MarkdownRenderer.render('<script>x</script>'), '<p>&lt;script&gt;x&lt;/script&gt;</p>');
+});
+
+test('MarkdownRenderer.inline keeps links and code spans out of emphasis', () => {
+    const { MarkdownRenderer } = loadScripts(['js/markdown.js']);
+
+    assert.equal(
+        MarkdownRenderer.inline('[the *spec*](https://example.org/a*b*c_d?x=1&y=2)'),
+        '<a href="https://example.org/a*b*c_d?x=1&amp;y=2" target="_blank" rel="noopener noreferrer">the <em>spec</em></a>'
+    );
+    assert.equal(MarkdownRenderer.inline('`a*b*` **bold** *it*'), '<code>a*b*</code> <strong>bold</strong> <em>it</em>');
+    assert.equal(MarkdownRenderer.inline('[local](#news) [mail](mailto:a@b.c)'),
+        '<a href="#news">local</a> <a href="mailto:a@b.c">mail</a>');
+    assert.equal(MarkdownRenderer.inline('[bad](javascript:void)'), 'bad');
+});